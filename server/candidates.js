@@ -0,0 +1,110 @@
+/**
+ * How a round's candidate solutions are ranked:
+ * - scored: the primary reviewer scores each candidate on the rubric, blended with its test results
+ * - pairwise: the primary reviewer judges head-to-head matches in a knockout bracket
+ */
+export const RANKING_METHODS = ["scored", "pairwise"];
+
+/**
+ * Sampling settings for candidate `index` of `count`. A single candidate keeps
+ * the requested options; otherwise temperatures spread evenly over
+ * [min, max] and each candidate gets its own seed, so variants differ but a
+ * rerun reproduces them. Seeds count up from `seed` when one is fixed, and
+ * from a per-round base otherwise.
+ */
+export function candidateOptions(index, count, round, { min = 0.2, max = 1, seed } = {}) {
+  if (count === 1) {
+    return {};
+  }
+  return {
+    temperature: Math.round((min + ((max - min) * index) / (count - 1)) * 100) / 100,
+    seed: (seed ?? round * 100) + index,
+  };
+}
+
+export const COMPARISON_SCHEMA = {
+  type: "object",
+  properties: {
+    winner: { type: "string", enum: ["A", "B"] },
+    reason: { type: "string" },
+  },
+  required: ["winner", "reason"],
+};
+
+export function buildComparisonPrompt(problem, first, second, language) {
+  const block = (solution) => `\`\`\`${language.fence}\n${solution}\n\`\`\``;
+  return `Compare the following two ${language.label} solutions and decide which one is better.
+
+**Problem:**
+${problem}
+
+**Solution A:**
+${block(first)}
+
+**Solution B:**
+${block(second)}
+
+Judge correctness first, then efficiency, readability, edge cases and security.
+
+Respond with JSON only, in this shape:
+${JSON.stringify({ winner: "A", reason: "One sentence on why it is better." })}`;
+}
+
+// Resolves to "A" or "B" with the reviewer's reason, or null when the verdict can't be read
+export function parseComparison(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start !== -1 && end > start) {
+    try {
+      const { winner, reason } = JSON.parse(text.slice(start, end + 1));
+      const verdict = String(winner).trim().toUpperCase();
+      if (verdict === "A" || verdict === "B") {
+        return { winner: verdict, reason: typeof reason === "string" ? reason.trim() : "" };
+      }
+    } catch {
+      // Fall through to the plain-text verdict
+    }
+  }
+
+  const match = text.match(/\b(?:solution|winner)\W+(A|B)\b/i);
+  return match ? { winner: match[1].toUpperCase(), reason: "" } : null;
+}
+
+/**
+ * Knockout bracket over `ids`: each level pairs neighbours and runs their
+ * matches in parallel through `compare(a, b)`, which resolves to
+ * `{ winner, reason }` with `winner` being a or b. An odd one out gets a bye.
+ * The ranking puts the bracket winner first, then the rest by wins, earlier
+ * candidates first on ties.
+ */
+export async function runTournament(ids, compare) {
+  const wins = new Map(ids.map((id) => [id, 0]));
+  const matches = [];
+  let contenders = ids;
+
+  while (contenders.length > 1) {
+    const pairs = [];
+    for (let index = 0; index < contenders.length; index += 2) {
+      pairs.push(contenders.slice(index, index + 2));
+    }
+
+    contenders = await Promise.all(
+      pairs.map(async ([a, b]) => {
+        if (b === undefined) {
+          return a;
+        }
+        const { winner, reason } = await compare(a, b);
+        wins.set(winner, wins.get(winner) + 1);
+        matches.push({ a, b, winner, reason });
+        return winner;
+      })
+    );
+  }
+
+  const [winner] = contenders;
+  return {
+    winner,
+    matches,
+    ranking: [...ids].sort((a, b) => (b === winner) - (a === winner) || wins.get(b) - wins.get(a) || a - b).map((id) => ({ candidate: id, wins: wins.get(id) })),
+  };
+}
@@ -0,0 +1,142 @@
+// Languages accepted as the primary artifact; an untagged fence counts too
+export const JAVASCRIPT_LANGUAGES = ["javascript", "js", "jsx", "mjs", "cjs", ""];
+
+// A line that is still only indentation and fence characters may become a fence once it's complete
+const POSSIBLE_FENCE = /^ {0,3}(`*|~*)$/;
+const FENCE_START = /^ {0,3}(`{3,}|~{3,})/;
+const OPENING_FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)[^`\n]*\r?\n?$/;
+const CLOSING_FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*\r?\n?$/;
+
+/**
+ * Incremental markdown fence parser for streamed model output. Text can be
+ * pushed in arbitrary pieces (fences split across tokens included); prose and
+ * code are reported through `onProse(text)` and `onCode(text, blockIndex)` as
+ * soon as they are known not to be part of a fence line.
+ */
+export class CodeFenceParser {
+  constructor({ onProse = () => {}, onCode = () => {} } = {}) {
+    this.onProse = onProse;
+    this.onCode = onCode;
+    this.pending = "";
+    this.lineStarted = false;
+    this.fence = null;
+    this.blocks = [];
+    this.segments = [];
+  }
+
+  push(text) {
+    this.pending += text;
+
+    let newline;
+    while ((newline = this.pending.indexOf("\n")) !== -1) {
+      const line = this.pending.slice(0, newline + 1);
+      this.pending = this.pending.slice(newline + 1);
+      this.processLine(line);
+    }
+
+    // Stream the unfinished line unless it might still turn into a fence
+    if (this.pending && (this.lineStarted || !(POSSIBLE_FENCE.test(this.pending) || FENCE_START.test(this.pending)))) {
+      this.emit(this.pending);
+      this.pending = "";
+      this.lineStarted = true;
+    }
+  }
+
+  processLine(line) {
+    if (this.lineStarted) {
+      this.emit(line);
+      this.lineStarted = false;
+      return;
+    }
+
+    if (!this.fence) {
+      const opening = line.match(OPENING_FENCE);
+      if (opening) {
+        this.fence = { char: opening[1][0], length: opening[1].length };
+        this.blocks.push({ language: opening[2].toLowerCase(), code: "", terminated: false });
+        this.segments.push({ type: "code", index: this.blocks.length - 1 });
+        return;
+      }
+    } else {
+      const closing = line.match(CLOSING_FENCE);
+      if (closing && closing[1][0] === this.fence.char && closing[1].length >= this.fence.length) {
+        this.blocks[this.blocks.length - 1].terminated = true;
+        this.fence = null;
+        return;
+      }
+    }
+
+    this.emit(line);
+  }
+
+  emit(text) {
+    if (this.fence) {
+      const index = this.blocks.length - 1;
+      this.blocks[index].code += text;
+      this.onCode(text, index);
+      return;
+    }
+
+    const last = this.segments[this.segments.length - 1];
+    if (last?.type === "prose") {
+      last.text += text;
+    } else {
+      this.segments.push({ type: "prose", text });
+    }
+    this.onProse(text);
+  }
+
+  /**
+   * Flushes the last line and picks the primary code artifact. Everything
+   * else (prose and secondary blocks) is returned as markdown commentary.
+   */
+  end(languages = JAVASCRIPT_LANGUAGES) {
+    if (this.pending) {
+      const line = this.pending;
+      this.pending = "";
+      this.processLine(line);
+    }
+    this.lineStarted = false;
+
+    const primaryIndex = selectPrimaryBlock(this.blocks, languages);
+    const prose = this.segments
+      .filter((segment) => segment.type === "prose")
+      .map((segment) => segment.text)
+      .join("");
+
+    // No fences at all: the model followed "code only" instructions, so the whole answer is the code
+    if (primaryIndex === -1) {
+      return { code: prose.trim(), language: "", commentary: "", blocks: [] };
+    }
+
+    const commentary = this.segments
+      .filter((segment) => segment.type === "prose" || segment.index !== primaryIndex)
+      .map((segment) => (segment.type === "prose" ? segment.text : `\n\`\`\`${this.blocks[segment.index].language}\n${this.blocks[segment.index].code.replace(/\n$/, "")}\n\`\`\`\n`))
+      .join("")
+      .trim();
+
+    const primary = this.blocks[primaryIndex];
+    return { code: primary.code.trim(), language: primary.language, commentary, blocks: this.blocks };
+  }
+}
+
+/**
+ * Index of the block most likely to be the answer: the longest block in one
+ * of `languages`, or the longest block overall when none match. -1 when empty.
+ */
+export function selectPrimaryBlock(blocks, languages = JAVASCRIPT_LANGUAGES) {
+  const candidates = blocks.map((block, index) => ({ block, index })).filter(({ block }) => block.code.trim());
+  const preferred = candidates.filter(({ block }) => languages.includes(block.language));
+  const pool = preferred.length ? preferred : candidates;
+
+  return pool.reduce((best, current) => (best === null || current.block.code.trim().length > best.block.code.trim().length ? current : best), null)?.index ?? -1;
+}
+
+/**
+ * One-shot extraction for a complete response.
+ */
+export function extractCode(text, languages = JAVASCRIPT_LANGUAGES) {
+  const parser = new CodeFenceParser();
+  parser.push(text);
+  return parser.end(languages);
+}
@@ -0,0 +1,126 @@
+// Above this many LCS cells (changed lines before x after) a change is shown as a full replacement
+const MAX_CELLS = 1_000_000;
+
+const TOKEN_PATTERN = /\s+|\w+|[^\w\s]/g;
+
+/**
+ * Longest-common-subsequence diff of two arrays, after trimming the common
+ * prefix and suffix. Returns `[type, value]` pairs, type being "equal",
+ * "remove" or "add"; removals come before additions within a change.
+ */
+function diffSequences(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let end = 0;
+  while (end < before.length - start && end < after.length - start && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+
+  const a = before.slice(start, before.length - end);
+  const b = after.slice(start, after.length - end);
+  const middle = [];
+
+  if (a.length * b.length > MAX_CELLS) {
+    middle.push(...a.map((value) => ["remove", value]), ...b.map((value) => ["add", value]));
+  } else {
+    // lengths[i * width + j] is the LCS length of a[i:] and b[j:]
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[i] === b[j] ? lengths[(i + 1) * width + j + 1] + 1 : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        middle.push(["equal", a[i++]]);
+        j++;
+      } else if (j === b.length || (i < a.length && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+        middle.push(["remove", a[i++]]);
+      } else {
+        middle.push(["add", b[j++]]);
+      }
+    }
+  }
+
+  return [...before.slice(0, start).map((value) => ["equal", value]), ...middle, ...after.slice(after.length - end).map((value) => ["equal", value])];
+}
+
+// Word-level segments of one side of a changed line; `changed` marks text the other side doesn't have
+function tokenSegments(pairs, side) {
+  const segments = [];
+  for (const [type, text] of pairs) {
+    if (type !== "equal" && type !== side) continue;
+    const changed = type !== "equal";
+    const last = segments.at(-1);
+    if (last && last.changed === changed) last.text += text;
+    else segments.push({ text, changed });
+  }
+  return segments;
+}
+
+// Share of the longer line's tokens two lines have in common before they count as one edited line
+const MIN_SIMILARITY = 0.4;
+
+// LCS cells all the word-level comparisons of one diff may use; lines left once it runs out get no segments
+const MAX_WORD_CELLS = 2_000_000;
+
+/**
+ * Line diff between two solutions. Each line carries its old and new line
+ * numbers; a removed line that closely matches a later added line in the
+ * same change is treated as edited, and both get word-level `segments`.
+ * Pairing compares every removal with the additions after it, so it stops
+ * at MAX_WORD_CELLS and large rewrites are left as whole lines.
+ */
+export function diffSolutions(before = "", after = "") {
+  const split = (text) => (text ? text.replace(/\n$/, "").split("\n") : []);
+  const lines = [];
+  let oldLine = 0;
+  let newLine = 0;
+  for (const [type, text] of diffSequences(split(before), split(after))) {
+    if (type === "equal") lines.push({ type, text, oldLine: ++oldLine, newLine: ++newLine });
+    else if (type === "remove") lines.push({ type, text, oldLine: ++oldLine, newLine: null });
+    else lines.push({ type, text, oldLine: null, newLine: ++newLine });
+  }
+
+  // Pair up each change's removals and additions for the word-level view
+  let cells = 0;
+  for (let index = 0; index < lines.length && cells < MAX_WORD_CELLS;) {
+    if (lines[index].type === "equal") {
+      index++;
+      continue;
+    }
+    let end = index;
+    while (end < lines.length && lines[end].type !== "equal") end++;
+    const removed = lines.slice(index, end).filter((line) => line.type === "remove");
+    const added = lines.slice(index, end).filter((line) => line.type === "add");
+    const addedTokens = added.map((line) => line.text.match(TOKEN_PATTERN) || []);
+    // Pairs keep their order, so each removal looks for its match after the previous one's
+    let next = 0;
+    for (const line of removed) {
+      const before = line.text.match(TOKEN_PATTERN) || [];
+      let best = null;
+      for (let candidate = next; candidate < added.length && cells < MAX_WORD_CELLS; candidate++) {
+        const after = addedTokens[candidate];
+        cells += before.length * after.length;
+        const tokens = diffSequences(before, after);
+        const similarity = tokens.filter(([type]) => type === "equal").length / Math.max(before.length, after.length, 1);
+        if (similarity >= MIN_SIMILARITY && (!best || similarity > best.similarity)) best = { candidate, tokens, similarity };
+      }
+      if (best) {
+        line.segments = tokenSegments(best.tokens, "remove");
+        added[best.candidate].segments = tokenSegments(best.tokens, "add");
+        next = best.candidate + 1;
+      }
+    }
+    index = end;
+  }
+
+  return {
+    added: lines.filter((line) => line.type === "add").length,
+    removed: lines.filter((line) => line.type === "remove").length,
+    unchanged: lines.filter((line) => line.type === "equal").length,
+    lines,
+  };
+}
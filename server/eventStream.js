@@ -0,0 +1,86 @@
+// Event types sent to the client over `/solve`. Every payload carries the run ID,
+// and round-scoped events also carry the round number.
+export const EVENTS = {
+  RUN_START: "run_start",
+  // Sent while the run waits for a free model host; position 0 means it has started
+  QUEUE_POSITION: "queue_position",
+  TESTS_READY: "tests_ready",
+  // One per model loaded before the first round; already loaded models are skipped
+  WARMUP: "warmup",
+  ROUND_START: "round_start",
+  THINKING_CHUNK: "thinking_chunk",
+  // Solution events carry a `candidate` index into the round's candidates
+  SOLUTION_CHUNK: "solution_chunk",
+  COMMENTARY_CHUNK: "commentary_chunk",
+  SOLUTION_COMPLETE: "solution_complete",
+  // A model call failed before any output and is tried again, on the same host after `delayMs` or on the `next` (fallback) host
+  CALL_RETRY: "call_retry",
+  // Parse, lint and complexity results of a JavaScript solution; `retrying` means it didn't parse and the solver is asked again
+  STATIC_ANALYSIS: "static_analysis",
+  CANDIDATES_RANKED: "candidates_ranked",
+  // Review events carry a `reviewer` index into the run's panel
+  REVIEW_CHUNK: "review_chunk",
+  REVIEW_COMPLETE: "review_complete",
+  PANEL_RESULT: "panel_result",
+  TEST_RESULTS: "test_results",
+  SCORE: "score",
+  // Token counts and timings of the round's model calls, per role
+  ROUND_METRICS: "round_metrics",
+  // Line diff of the round's solution against the previous round's, from the second round on
+  SOLUTION_DIFF: "solution_diff",
+  BEST_UPDATED: "best_updated",
+  // Interactive runs: the run waits for `POST /runs/:id/feedback`, then reports what the engineer sent
+  AWAITING_FEEDBACK: "awaiting_feedback",
+  HUMAN_FEEDBACK: "human_feedback",
+  // A round failed; `retrying` means it starts over, otherwise it's skipped
+  ROUND_FAILED: "round_failed",
+  ERROR: "error",
+  DONE: "done",
+  // `POST /admin/pull` streams these (with ERROR and DONE) instead of run events
+  PULL_PROGRESS: "pull_progress",
+  PULL_COMPLETE: "pull_complete",
+};
+
+/**
+ * Thin wrapper around an Express response that writes typed SSE events with
+ * sequential event IDs.
+ */
+export class EventStream {
+  // `runId` is left out of the payloads when null, for streams that aren't runs
+  constructor(res, runId) {
+    this.res = res;
+    this.runId = runId;
+    this.nextId = 1;
+    this.closed = false;
+  }
+
+  // `onClose` fires if the client goes away before `end()` is called
+  open(onClose = () => {}) {
+    this.res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    this.res.on("close", () => {
+      if (this.closed) return;
+      this.closed = true;
+      onClose();
+    });
+  }
+
+  send(type, data = {}) {
+    if (this.closed) {
+      return;
+    }
+    const payload = this.runId ? { runId: this.runId, ...data } : data;
+    this.res.write(`id: ${this.nextId++}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  end() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.res.end();
+  }
+}
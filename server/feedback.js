@@ -0,0 +1,134 @@
+import { renderTemplate } from "./templates.js";
+
+/**
+ * How much of the previous rounds the solver sees when improving a solution:
+ * - score: only the best score so far (the original behaviour)
+ * - last-review: the previous solution plus the last review's improvement points
+ * - full-history: every solution and review replayed as a chat transcript
+ * - summarized-history: the previous solution plus condensed improvement points from every round
+ */
+export const FEEDBACK_STRATEGIES = ["score", "last-review", "full-history", "summarized-history"];
+
+const MAX_SUMMARY_POINTS = 12;
+
+const fence = (code, language) => `\`\`\`${language.fence}\n${code}\n\`\`\``;
+
+/**
+ * Notes the engineer gave in an interactive run, from every round so far
+ * (most recent first), since constraints like "must be O(n)" hold until
+ * they're lifted. Empty when there are none.
+ */
+function humanNotes(history) {
+  const notes = [...history]
+    .reverse()
+    .filter((entry) => entry.human?.feedback)
+    .map((entry) => `- (round ${entry.round}) ${entry.human.feedback.replace(/\n/g, "\n  ")}`);
+  return notes.length ? `Requirements from the engineer, which take priority over the reviewer's points:\n${notes.join("\n")}\n\n` : "";
+}
+
+/**
+ * Pulls the "what could be improved" part out of a free-form review. Falls back
+ * to the whole review when the reviewer ignored the requested structure.
+ */
+export function extractImprovements(review) {
+  if (!review) {
+    return "";
+  }
+
+  const lines = review.split("\n");
+  const start = lines.findIndex((line) => /could be improved|improvements?|weaknesses|issues/i.test(line) && !/works well/i.test(line));
+  if (start === -1) {
+    return review.trim();
+  }
+
+  const section = [];
+  for (const line of lines.slice(start + 1)) {
+    // Stop at the next numbered item or heading, e.g. "3. Score" or "### Score"
+    if (/^\s*(#{1,6}\s|\*\*)?\s*(\d+\.\s*)?\**\s*(score|what works well|overall|conclusion)/i.test(line)) {
+      break;
+    }
+    section.push(line);
+  }
+
+  const improvements = section.join("\n").trim();
+  return improvements || review.trim();
+}
+
+/**
+ * Splits an improvements section into individual points (bullets, numbered items or sentences).
+ */
+export function toPoints(improvements) {
+  const bullets = improvements
+    .split("\n")
+    .map((line) => line.replace(/^\s*([-*•]|\d+[.)])\s*/, "").trim())
+    .filter(Boolean);
+
+  if (bullets.length > 1) {
+    return bullets;
+  }
+
+  return improvements
+    .split(/(?<=[.!?])\s+/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Builds the `/api/chat` messages for the solver from a solver template.
+ * `history` holds the earlier rounds as `{ round, solution, review, score, human }`,
+ * oldest first; `language` is an entry from `getLanguage()`. The strategy
+ * decides what fills the template's `{{review}}`; the engineer's notes from
+ * interactive runs go in front of it, or with their round in the full history.
+ */
+export function buildSolverMessages({ problem, history = [], strategy = "last-review", bestScore = 0, round = history.length + 1, language, template }) {
+  const variables = { problem, language: language.label, instructions: language.instructions, round, bestScore };
+  const system = { role: "system", content: renderTemplate(template.system, variables) };
+  const initialPrompt = renderTemplate(template.initial, variables);
+
+  if (!history.length) {
+    return [system, { role: "user", content: initialPrompt }];
+  }
+
+  const last = history[history.length - 1];
+  const improve = (review, notes = humanNotes(history)) =>
+    renderTemplate(template.improve, { ...variables, previousSolution: fence(last.solution, language), review: `${notes}${review}`, score: last.score });
+
+  switch (strategy) {
+    case "score":
+      return [system, { role: "user", content: improve(`Previous score: ${bestScore}/10\nImprove the solution focusing on ${language.label} best practices.`) }];
+
+    case "full-history":
+      return [
+        system,
+        { role: "user", content: initialPrompt },
+        ...history.flatMap((entry, index) => {
+          const engineer = entry.human?.feedback ? `\n\nEngineer's feedback for round ${entry.round}:\n${entry.human.feedback}` : "";
+          const feedback = `Reviewer feedback for round ${entry.round} (score ${entry.score}/10):\n\n${entry.review}${engineer}`;
+          return [
+            { role: "assistant", content: entry.solution },
+            { role: "user", content: index === history.length - 1 ? improve(feedback, "") : feedback },
+          ];
+        }),
+      ];
+
+    case "summarized-history": {
+      const points = [];
+      const seen = new Set();
+      for (const entry of [...history].reverse()) {
+        for (const point of toPoints(extractImprovements(entry.review))) {
+          const key = point.toLowerCase();
+          if (seen.has(key) || points.length >= MAX_SUMMARY_POINTS) continue;
+          seen.add(key);
+          points.push(`- (round ${entry.round}) ${point}`);
+        }
+      }
+      const scores = history.map((entry) => `round ${entry.round}: ${entry.score}/10`).join(", ");
+
+      return [system, { role: "user", content: improve(`Scores so far: ${scores}\n\nOutstanding review points (most recent first):\n${points.join("\n") || "- none"}`) }];
+    }
+
+    case "last-review":
+    default:
+      return [system, { role: "user", content: improve(`The reviewer scored it ${last.score}/10 and suggested these improvements:\n${extractImprovements(last.review)}`) }];
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Sampling options `/solve` accepts per role, under Ollama's names. The
+ * OpenAI provider maps the ones it supports and drops the rest (`num_ctx`).
+ */
+export const GENERATION_OPTIONS = {
+  temperature: { min: 0, max: 2 },
+  top_p: { min: 0, max: 1 },
+  seed: { min: 0, max: 2 ** 31 - 1, integer: true },
+  num_ctx: { min: 256, max: 131072, integer: true },
+  // -1 lets the model generate until it stops by itself
+  num_predict: { min: -1, max: 32768, integer: true },
+};
+
+// Seed used in deterministic mode when the request doesn't pick one
+export const DETERMINISTIC_SEED = 42;
+
+/**
+ * Validates one role's options, given as an object or its JSON text.
+ * Throws on unknown names and out-of-range values.
+ */
+export function parseGenerationOptions(value) {
+  const options = typeof value === "string" ? JSON.parse(value) : value;
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    throw new Error("must be a JSON object");
+  }
+
+  return Object.fromEntries(
+    Object.entries(options).map(([name, raw]) => {
+      const spec = Object.hasOwn(GENERATION_OPTIONS, name) ? GENERATION_OPTIONS[name] : null;
+      if (!spec) {
+        throw new Error(`unknown option "${name}" (expected one of: ${Object.keys(GENERATION_OPTIONS).join(", ")})`);
+      }
+      const number = typeof raw === "string" && raw.trim() ? Number(raw) : raw;
+      if (typeof number !== "number" || !Number.isFinite(number) || number < spec.min || number > spec.max || (spec.integer && !Number.isInteger(number))) {
+        throw new Error(`${name} must be ${spec.integer ? "an integer" : "a number"} between ${spec.min} and ${spec.max}`);
+      }
+      return [name, number];
+    })
+  );
+}
+
+/**
+ * Deterministic mode pins every model call of a role to one seed, so the
+ * same request replays the same run. Returns the options to record.
+ */
+export function withDeterministicSeed(options, deterministic) {
+  return deterministic ? { ...options, seed: options.seed ?? DETERMINISTIC_SEED } : options;
+}
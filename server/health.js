@@ -0,0 +1,86 @@
+/**
+ * What a running run is doing, as reported by `/health` and
+ * `/runs/:id/status`. Rounds go through generating, ranking (only with
+ * several candidates), reviewing and testing.
+ */
+export const RUN_PHASES = {
+  queued: "Waiting for a free model host",
+  checking_hosts: "Checking the model hosts",
+  warming_up: "Loading the models into memory",
+  generating_tests: "Generating test cases",
+  generating: "Generating solutions",
+  ranking: "Ranking candidates",
+  reviewing: "Reviewing the solution",
+  testing: "Running the tests",
+  awaiting_feedback: "Waiting for the engineer's feedback",
+};
+
+/**
+ * Checks one model host: reachability, latency, version, installed and
+ * loaded models, and which of the `required` models are missing. Never
+ * throws; an unreachable host comes back with `reachable: false` and the error.
+ * `fallback` marks a host that only takes over when its role's hosts fail.
+ */
+export async function checkHost(provider, { name, role, required, fallback = false, timeoutMs }) {
+  const info = { name, role, fallback, provider: provider.type, url: provider.url, required };
+  const startedAt = Date.now();
+  try {
+    const { version, models, loaded } = await provider.health({ signal: AbortSignal.timeout(timeoutMs) });
+    return {
+      ...info,
+      reachable: true,
+      latencyMs: Date.now() - startedAt,
+      version,
+      models,
+      loaded,
+      missing: required.filter((model) => !models.includes(model)),
+      error: null,
+    };
+  } catch (error) {
+    const message = error.name === "TimeoutError" || error.name === "AbortError" ? `no answer within ${timeoutMs}ms` : error.message;
+    return { ...info, reachable: false, latencyMs: Date.now() - startedAt, version: null, models: [], loaded: null, missing: required, error: message };
+  }
+}
+
+// Whether a healthy fallback host can stand in for `host`'s role
+const covered = (hosts, host) => hosts.some((other) => other.fallback && other.role === host.role && other.reachable && !other.missing.length);
+
+/**
+ * Hosts a run needs that can't serve it (unreachable or missing a model),
+ * leaving out those whose role has a healthy fallback host to take over.
+ */
+export function unusableHosts(hosts) {
+  return hosts.filter((host) => !host.fallback && host.required.length && (!host.reachable || host.missing.length) && !covered(hosts, host));
+}
+
+/**
+ * Overall status from the host checks: "down" when a host that's in use
+ * can't be reached and no fallback can take over, "degraded" when one lacks
+ * a model, an unused or fallback host is unreachable, or a fallback is
+ * covering, "ok" otherwise. `problems` spells out each issue.
+ */
+export function summarizeHealth(hosts) {
+  const problems = [];
+  let status = "ok";
+  for (const host of hosts) {
+    // "reviewer" is the primary reviewer host; panels can add named ones, and each role fallback hosts
+    const name = host.fallback
+      ? `${host.role === "solver" ? "Solver" : "Reviewer"} fallback ${host.name.split("-").pop()}`
+      : host.role === "solver"
+        ? "Solver"
+        : host.name === "reviewer"
+          ? "Reviewer"
+          : `Reviewer ${host.name}`;
+    const label = `${name} (${host.url})`;
+    if (!host.reachable) {
+      const fallback = !host.fallback && host.required.length && covered(hosts, host);
+      problems.push(`${label} is unreachable: ${host.error}${fallback ? "; calls go to its fallback host" : ""}`);
+      status = host.required.length && !host.fallback && !fallback ? "down" : status === "down" ? status : "degraded";
+    } else if (host.missing.length) {
+      const hint = host.provider.startsWith("ollama") ? `; run: OLLAMA_HOST=${host.url} ollama pull ${host.missing[0]}` : "";
+      problems.push(`${label} is missing ${host.missing.join(", ")}${hint}`);
+      if (status === "ok") status = "degraded";
+    }
+  }
+  return { status, problems };
+}
@@ -0,0 +1,112 @@
+/**
+ * FIFO queue that gates runs on per-host concurrency limits. A job names the
+ * hosts it needs and only starts once every one of them has a free slot;
+ * hosts a waiting job needs are reserved for it, so later jobs can't jump the
+ * queue and starve it.
+ */
+export class JobQueue {
+  constructor({ defaultConcurrency = 1 } = {}) {
+    this.defaultConcurrency = defaultConcurrency;
+    this.hosts = new Map();
+    this.waiting = [];
+    this.running = new Map();
+  }
+
+  setConcurrency(host, limit) {
+    this.host(host).limit = Math.max(1, limit);
+    this.schedule();
+  }
+
+  host(key) {
+    if (!this.hosts.has(key)) {
+      this.hosts.set(key, { limit: this.defaultConcurrency, active: new Set() });
+    }
+    return this.hosts.get(key);
+  }
+
+  /**
+   * Waits for a slot on every host in `hosts`. Resolves to a `release()`
+   * function; rejects with the signal's reason if aborted while waiting.
+   * `onPosition(position, waiting)` reports the 1-based queue position
+   * whenever it changes.
+   */
+  acquire(id, hosts, { signal, meta = {}, onPosition = () => {} } = {}) {
+    signal?.throwIfAborted();
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        id,
+        hosts: [...new Set(hosts)],
+        meta,
+        enqueuedAt: Date.now(),
+        startedAt: null,
+        lastPosition: null,
+        onPosition,
+        resolve,
+        reject,
+      };
+
+      const onAbort = () => {
+        const index = this.waiting.indexOf(job);
+        if (index !== -1) {
+          this.waiting.splice(index, 1);
+          reject(signal.reason);
+          this.schedule();
+        }
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      job.cleanup = () => signal?.removeEventListener("abort", onAbort);
+
+      this.waiting.push(job);
+      this.schedule();
+    });
+  }
+
+  release(job) {
+    if (!this.running.delete(job.id)) {
+      return;
+    }
+    for (const key of job.hosts) {
+      this.host(key).active.delete(job.id);
+    }
+    this.schedule();
+  }
+
+  schedule() {
+    const reserved = new Set();
+
+    for (const job of [...this.waiting]) {
+      const free = job.hosts.every((key) => !reserved.has(key) && this.host(key).active.size < this.host(key).limit);
+      if (!free) {
+        job.hosts.forEach((key) => reserved.add(key));
+        continue;
+      }
+
+      this.waiting.splice(this.waiting.indexOf(job), 1);
+      job.startedAt = Date.now();
+      job.cleanup();
+      for (const key of job.hosts) {
+        this.host(key).active.add(job.id);
+      }
+      this.running.set(job.id, job);
+      job.resolve(() => this.release(job));
+    }
+
+    this.waiting.forEach((job, index) => {
+      if (job.lastPosition !== index + 1) {
+        job.lastPosition = index + 1;
+        job.onPosition(index + 1, this.waiting.length);
+      }
+    });
+  }
+
+  snapshot() {
+    const describe = (job) => ({ id: job.id, ...job.meta, hosts: job.hosts, enqueuedAt: job.enqueuedAt, startedAt: job.startedAt });
+
+    return {
+      hosts: [...this.hosts.entries()].map(([host, { limit, active }]) => ({ host, limit, active: active.size, runs: [...active] })),
+      running: [...this.running.values()].map(describe),
+      waiting: this.waiting.map((job, index) => ({ ...describe(job), position: index + 1 })),
+    };
+  }
+}
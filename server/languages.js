@@ -0,0 +1,70 @@
+import { JAVASCRIPT_LANGUAGES } from "./codeExtractor.js";
+
+/**
+ * Languages the solver can be asked for. Each entry drives the prompts
+ * (`instructions`, `fence`), which fenced blocks count as the answer
+ * (`aliases`, an untagged fence always counts) and how solutions are checked:
+ * `runner` languages run test cases in a sandbox, `syntaxCheck` languages only
+ * get parsed, and the rest are judged by the reviewers alone. `analyzer`
+ * languages are also parsed and linted before review.
+ */
+export const LANGUAGES = {
+  javascript: {
+    label: "JavaScript",
+    fence: "javascript",
+    aliases: JAVASCRIPT_LANGUAGES,
+    instructions: "Focus on creating clean, efficient code that demonstrates JavaScript functions.",
+    runner: "javascript",
+    syntaxCheck: null,
+    analyzer: "javascript",
+    testExample: { input: "sum(1, 2)", expected: 3 },
+  },
+  typescript: {
+    label: "TypeScript",
+    fence: "typescript",
+    aliases: ["typescript", "ts", "tsx", ""],
+    instructions: "Use precise types, avoid `any`, and export the main function.",
+    runner: null,
+    syntaxCheck: null,
+    analyzer: null,
+  },
+  python: {
+    label: "Python",
+    fence: "python",
+    aliases: ["python", "py", "python3", ""],
+    instructions: "Write idiomatic Python 3 that follows PEP 8. Define functions instead of reading from stdin.",
+    runner: "python",
+    syntaxCheck: "python",
+    analyzer: null,
+    testExample: { input: "add(1, 2)", expected: 3 },
+  },
+  go: {
+    label: "Go",
+    fence: "go",
+    aliases: ["go", "golang", ""],
+    instructions: "Write idiomatic Go with explicit error handling. Include the package clause and imports.",
+    runner: null,
+    syntaxCheck: "go",
+    analyzer: null,
+  },
+  sql: {
+    label: "SQL",
+    fence: "sql",
+    aliases: ["sql", "postgresql", "postgres", "mysql", "sqlite", ""],
+    instructions: "Write standard SQL. State the assumed schema in a comment when the problem doesn't give one.",
+    runner: null,
+    syntaxCheck: null,
+    analyzer: null,
+  },
+};
+
+export const DEFAULT_LANGUAGE = "javascript";
+
+export function getLanguage(id = DEFAULT_LANGUAGE) {
+  // Own keys only, so names like "toString" or "__proto__" aren't taken for languages
+  const language = Object.hasOwn(LANGUAGES, id) ? LANGUAGES[id] : null;
+  if (!language) {
+    throw new Error(`Unsupported language "${id}". Expected one of: ${Object.keys(LANGUAGES).join(", ")}`);
+  }
+  return { id, ...language };
+}
@@ -0,0 +1,147 @@
+/**
+ * Timing and token numbers for one streamed model call. `usage` is the
+ * provider's final-frame report; servers that send none get token counts
+ * estimated from the output length (`estimated: true`) and no eval timings.
+ */
+export function callMetrics({ usage, chars, startedAt, firstTokenAt, finishedAt, charsPerToken }) {
+  const completionTokens = usage ? usage.completionTokens : Math.ceil(chars / charsPerToken);
+  const wallMs = finishedAt - startedAt;
+  // Ollama's eval time leaves out queueing and model loading, so it gives the truer generation speed
+  const generationMs = usage?.evalMs || wallMs;
+  return {
+    promptTokens: usage?.promptTokens || 0,
+    completionTokens,
+    estimated: !usage,
+    evalMs: usage?.evalMs ?? null,
+    promptEvalMs: usage?.promptEvalMs ?? null,
+    loadMs: usage?.loadMs ?? null,
+    firstTokenMs: firstTokenAt ? firstTokenAt - startedAt : null,
+    wallMs,
+    tokensPerSecond: generationMs > 0 ? Math.round((completionTokens / generationMs) * 10000) / 10 : null,
+  };
+}
+
+/**
+ * Adds up the calls of one role (a round's candidates or panel reviews, or a
+ * whole run). Throughput is completion tokens over total eval time.
+ */
+export function sumMetrics(calls) {
+  const measured = calls.filter(Boolean);
+  const total = (field) => measured.reduce((sum, call) => sum + (call[field] || 0), 0);
+  const generationMs = measured.reduce((sum, call) => sum + (call.evalMs || call.wallMs), 0);
+  const completionTokens = total("completionTokens");
+  return {
+    calls: measured.length,
+    promptTokens: total("promptTokens"),
+    completionTokens,
+    estimated: measured.some((call) => call.estimated),
+    evalMs: total("evalMs"),
+    promptEvalMs: total("promptEvalMs"),
+    loadMs: total("loadMs"),
+    wallMs: total("wallMs"),
+    tokensPerSecond: generationMs > 0 ? Math.round((completionTokens / generationMs) * 10000) / 10 : null,
+  };
+}
+
+// A candidate's model calls, including attempts redone because the solution didn't parse
+export const candidateCalls = (candidate) => [...(candidate.syntaxRetries ?? []).map((retry) => retry.metrics), candidate.metrics];
+
+// A round's reviewer calls: the panel's reviews plus its ranking calls and review retries
+export const roundReviewerCalls = (round) => [...round.reviews.map((review) => review.metrics), ...(round.reviewerCalls ?? [])];
+
+export const callTokens = (calls) => calls.reduce((sum, call) => sum + call.promptTokens + call.completionTokens, 0);
+
+/**
+ * Totals and per-round averages for a finished run, from its rounds' metrics.
+ */
+export function summarizeRun(rounds) {
+  const measured = rounds.filter((round) => round.metrics);
+  const average = (field) => (measured.length ? Math.round(measured.reduce((sum, round) => sum + round[field], 0) / measured.length) : null);
+  return {
+    solver: sumMetrics(measured.flatMap((round) => round.candidates.flatMap(candidateCalls))),
+    reviewer: sumMetrics(measured.flatMap(roundReviewerCalls)),
+    averageGenerationMs: average("generationMs"),
+    averageReviewMs: average("reviewMs"),
+    averageRoundMs: average("durationMs"),
+  };
+}
+
+const DURATION_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([name, value]) => `${name}="${String(value).replace(/["\\\n]/g, (char) => (char === "\n" ? "\\n" : `\\${char}`))}"`).join(",")}}` : "";
+};
+
+/**
+ * In-memory counters, gauges and histograms rendered in the Prometheus text
+ * format for `GET /metrics`. Values reset when the server restarts.
+ */
+export class MetricsRegistry {
+  constructor() {
+    // Name -> { type, help, series: Map<label key, { labels, value | buckets }> } or { collect }
+    this.metrics = new Map();
+  }
+
+  define(name, type, help, extra = {}) {
+    this.metrics.set(name, { type, help, series: new Map(), ...extra });
+  }
+
+  counter(name, help) {
+    this.define(name, "counter", help);
+  }
+
+  histogram(name, help, buckets = DURATION_BUCKETS) {
+    this.define(name, "histogram", help, { buckets });
+  }
+
+  // Gauges are read when scraped; `collect` returns `[{ labels, value }]`
+  gauge(name, help, collect) {
+    this.define(name, "gauge", help, { collect });
+  }
+
+  series(name, labels, create) {
+    const metric = this.metrics.get(name);
+    const key = formatLabels(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels, ...create(metric) });
+    }
+    return metric.series.get(key);
+  }
+
+  inc(name, labels = {}, amount = 1) {
+    this.series(name, labels, () => ({ value: 0 })).value += amount;
+  }
+
+  observe(name, labels, value) {
+    const series = this.series(name, labels, (metric) => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.metrics.get(name).buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [];
+    for (const [name, metric] of this.metrics) {
+      lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+      if (metric.collect) {
+        for (const { labels = {}, value } of metric.collect()) {
+          lines.push(`${name}${formatLabels(labels)} ${value}`);
+        }
+        continue;
+      }
+      for (const series of metric.series.values()) {
+        if (metric.type !== "histogram") {
+          lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+          continue;
+        }
+        metric.buckets.forEach((bound, index) => lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+        lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`, `${name}_count${formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+}
@@ -0,0 +1,123 @@
+import { RUBRIC } from "./review.js";
+import { extractImprovements, toPoints } from "./feedback.js";
+
+/**
+ * Reviewer personas available by name. Any other persona string is used
+ * verbatim as the reviewer's role ("You are a <persona>").
+ */
+export const PERSONAS = {
+  "security auditor": "You are a security auditor. Look hardest at unsafe input handling, injection, dynamic evaluation, prototype pollution and resource exhaustion, and score security strictly.",
+  "performance reviewer": "You are a performance reviewer. Look hardest at time and space complexity, needless allocations and how the code scales to large inputs.",
+  "readability reviewer": "You are a readability reviewer. Look hardest at naming, structure, idiomatic style and whether another developer could maintain the code.",
+  "edge case hunter": "You are a tester hunting for edge cases. Look hardest at empty, boundary, invalid and unusual inputs the code may mishandle.",
+};
+
+/**
+ * How the panel's review scores are combined into the round's review score:
+ * - mean: average of every reviewer
+ * - median: middle score, robust to one outlier
+ * - min: the harshest reviewer decides
+ * - trimmed-mean: average after dropping the highest and lowest score (with 3+ reviewers)
+ */
+export const AGGREGATIONS = ["mean", "median", "min", "trimmed-mean"];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+export function aggregate(values, strategy = "mean") {
+  if (!values.length) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+
+  switch (strategy) {
+    case "median": {
+      const middle = Math.floor(sorted.length / 2);
+      return round1(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+    }
+    case "min":
+      return sorted[0];
+    case "trimmed-mean":
+      return round1(mean(sorted.length >= 3 ? sorted.slice(1, -1) : sorted));
+    case "mean":
+    default:
+      return round1(mean(sorted));
+  }
+}
+
+export const personaPrompt = (persona) =>
+  persona ? (Object.hasOwn(PERSONAS, persona.toLowerCase()) && PERSONAS[persona.toLowerCase()]) || `You are a ${persona}. Review from that perspective, but still score every criterion.` : null;
+
+/**
+ * Validates a panel spec (`[{ host, model, persona }]`) against the configured
+ * reviewer hosts, filling in each member's display name and default model.
+ */
+export function normalizePanel(members, hosts, { defaultModel } = {}) {
+  if (!Array.isArray(members) || !members.length) {
+    throw new Error("panel must be a non-empty array");
+  }
+
+  return members.map((member, index) => {
+    const { host = "reviewer", model, persona = null } = typeof member === "string" ? { persona: member } : member || {};
+    const provider = hosts.get(host);
+    if (!provider) {
+      throw new Error(`panel[${index}]: unknown reviewer host "${host}" (expected one of: ${[...hosts.keys()].join(", ")})`);
+    }
+    if (persona !== null && typeof persona !== "string") {
+      throw new Error(`panel[${index}]: persona must be a string`);
+    }
+
+    const resolvedModel = model || (host === "reviewer" && defaultModel) || provider.defaultModel;
+    return {
+      host,
+      model: resolvedModel,
+      persona: persona?.trim() || null,
+      name: persona?.trim() ? `${persona.trim()} (${resolvedModel})` : resolvedModel,
+    };
+  });
+}
+
+/**
+ * Combines the panel's rubric reviews for one round: the aggregated score,
+ * per-criterion aggregates, merged feedback for the solver and how far the
+ * reviewers disagree. Spread is the max-min range; it counts as high when
+ * it reaches `threshold` points.
+ */
+export function combineReviews(reviews, { strategy = "mean", threshold = 3 } = {}) {
+  const totals = reviews.map((review) => review.rubric.total);
+  const scores = {};
+  const criteria = {};
+
+  for (const criterion of RUBRIC) {
+    const values = reviews.map((review) => review.rubric.scores[criterion.key]).filter((value) => typeof value === "number");
+    if (values.length) {
+      scores[criterion.key] = aggregate(values, strategy);
+      criteria[criterion.key] = round1(Math.max(...values) - Math.min(...values));
+    }
+  }
+
+  const prefix = (review, text) => (reviews.length > 1 ? `[${review.name}] ${text}` : text);
+  const range = totals.length ? round1(Math.max(...totals) - Math.min(...totals)) : 0;
+
+  return {
+    score: aggregate(totals, strategy),
+    rubric: {
+      scores,
+      strengths: reviews.flatMap((review) => review.rubric.strengths.map((item) => prefix(review, item))),
+      // Reviews scored by the fallback parser have no structured points, so pull them from the text
+      improvements: reviews.flatMap((review) =>
+        (["json", "retry"].includes(review.rubric.source) ? review.rubric.improvements : toPoints(extractImprovements(review.review))).map((item) => prefix(review, item))
+      ),
+      summary: reviews
+        .filter((review) => review.rubric.summary)
+        .map((review) => prefix(review, review.rubric.summary))
+        .join("\n\n"),
+    },
+    disagreement: {
+      range,
+      stdDev: totals.length ? round1(Math.sqrt(mean(totals.map((total) => (total - mean(totals)) ** 2)))) : 0,
+      criteria,
+      high: reviews.length > 1 && range >= threshold,
+    },
+  };
+}
@@ -0,0 +1,225 @@
+import { execFile, spawn } from "node:child_process";
+import { isDeepStrictEqual, promisify } from "node:util";
+
+// Reads `{ code, inputs, timeoutMs, memoryMb }` from stdin and prints one JSON outcome to the
+// original stdout, with each input's value serialized. The solution shares the interpreter and
+// could print an outcome of its own, so the runner never gets the expected values
+const PYTHON_RUNNER = String.raw`
+import contextlib, io, json, resource, signal, sys, time
+
+data = json.load(sys.stdin)
+limit = data["memoryMb"] * 1024 * 1024
+# No more memory, no new processes (for a non-root uid) and no file writes
+for name, value in (("RLIMIT_AS", limit), ("RLIMIT_NPROC", 0), ("RLIMIT_FSIZE", 0), ("RLIMIT_CORE", 0)):
+    try:
+        resource.setrlimit(getattr(resource, name), (value, value))
+    except (ValueError, OSError):
+        pass
+
+class Timeout(Exception):
+    pass
+
+def on_alarm(signum, frame):
+    raise Timeout("timed out after %dms" % data["timeoutMs"])
+
+signal.signal(signal.SIGALRM, on_alarm)
+
+def limited(fn):
+    signal.setitimer(signal.ITIMER_REAL, data["timeoutMs"] / 1000)
+    try:
+        return fn()
+    finally:
+        signal.setitimer(signal.ITIMER_REAL, 0)
+
+def serialize(value):
+    try:
+        return json.dumps(value, separators=(",", ":"), allow_nan=False), True
+    except (TypeError, ValueError):
+        return repr(value), False
+
+logs = io.StringIO()
+namespace = {"__name__": "solution"}
+outcome = {"loaded": True, "error": None, "results": [], "logs": []}
+start = time.perf_counter()
+
+with contextlib.redirect_stdout(logs), contextlib.redirect_stderr(logs):
+    try:
+        limited(lambda: exec(compile(data["code"], "solution.py", "exec"), namespace))
+    except BaseException as error:
+        outcome.update(loaded=False, error="%s: %s" % (type(error).__name__, error))
+    outcome["loadMs"] = (time.perf_counter() - start) * 1000
+
+    for index, source in enumerate(data["inputs"] if outcome["loaded"] else []):
+        start = time.perf_counter()
+        result = {"actual": None, "json": False, "error": None}
+        try:
+            actual = limited(lambda: eval(compile(source, "test-%d.py" % (index + 1), "eval"), namespace))
+            result["actual"], result["json"] = serialize(actual)
+        except BaseException as error:
+            result["error"] = "%s: %s" % (type(error).__name__, error)
+        result["durationMs"] = (time.perf_counter() - start) * 1000
+        outcome["results"].append(result)
+
+outcome["logs"] = logs.getvalue().splitlines()
+sys.__stdout__.write(json.dumps(outcome))
+`;
+
+const SYNTAX_CHECKS = {
+  python: (python) => [python, ["-I", "-B", "-c", "import ast, sys; ast.parse(sys.stdin.read(), 'solution.py')"]],
+  // gofmt only parses, so it keeps PATH to find its toolchain
+  go: () => ["gofmt", ["-e", "-l"], { env: { PATH: process.env.PATH } }],
+};
+
+const execFileAsync = promisify(execFile);
+const interpreters = new Map();
+
+/**
+ * Absolute path of a Python interpreter, looked up once with the server's
+ * environment: solutions run with an empty one, where launchers such as
+ * pyenv shims can't find their Python. Resolves to null when it isn't
+ * installed.
+ */
+function resolvePython(python) {
+  if (!interpreters.has(python)) {
+    interpreters.set(
+      python,
+      execFileAsync(python, ["-I", "-c", "import sys; print(sys.executable)"], { timeout: 5000 }).then(
+        ({ stdout }) => stdout.trim() || null,
+        () => null
+      )
+    );
+  }
+  return interpreters.get(python);
+}
+
+/**
+ * Spawns `command`, writes `input` to its stdin and collects the output. The
+ * process is killed once `timeoutMs` passes. `missing` is set when the
+ * command isn't installed. It gets an empty environment, so the server's API
+ * keys stay out of reach, and runs as `uid`/`gid` when they're given.
+ */
+function runProcess(command, args, input, timeoutMs, { env = {}, uid, gid } = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(command, args, { stdio: ["pipe", "pipe", "pipe"], env, ...(uid !== undefined && { uid }), ...(gid !== undefined && { gid }) });
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill("SIGKILL");
+    }, timeoutMs);
+
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      resolve({ exitCode: null, stdout, stderr: error.message, timedOut, missing: error.code === "ENOENT" });
+    });
+    child.on("close", (exitCode) => {
+      clearTimeout(timer);
+      resolve({ exitCode, stdout, stderr, timedOut, missing: false });
+    });
+
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+  });
+}
+
+const parseJson = (text) => {
+  try {
+    return { value: JSON.parse(text) };
+  } catch {
+    return null;
+  }
+};
+
+// Builds the outcome from what the runner printed, taking nothing from it on trust but each input's value
+function readOutcome(reported, testCases) {
+  const results = testCases.map((testCase, index) => {
+    const { actual, json, error, durationMs } = reported.results?.[index] ?? {};
+    const value = json && typeof actual === "string" ? parseJson(actual) : null;
+    return {
+      name: testCase.name,
+      input: testCase.input,
+      expected: JSON.stringify(testCase.expected),
+      actual: typeof actual === "string" ? actual : null,
+      passed: Boolean(value) && isDeepStrictEqual(value.value, testCase.expected),
+      error: typeof error === "string" ? error : null,
+      durationMs: Number(durationMs) || 0,
+    };
+  });
+  const loaded = reported.loaded === true;
+  return {
+    loaded,
+    timedOut: false,
+    error: typeof reported.error === "string" ? reported.error : null,
+    loadMs: Number(reported.loadMs) || 0,
+    // Tests after a failed load never ran
+    results: loaded ? results : [],
+    logs: Array.isArray(reported.logs) ? reported.logs.map(String) : [],
+  };
+}
+
+/**
+ * Runs a Python solution against test cases in a separate `python -I`
+ * process. Each test input is a Python expression; its result is compared
+ * with `expected` as JSON here rather than in the process, so 3.0 matches 3,
+ * tuples match lists and a solution that prints a made-up outcome can't pass
+ * tests it fails. Returns the same outcome shape as `runInSandbox`.
+ *
+ * The process gets an empty environment and limits on memory, time, child
+ * processes and file writes. Without `uid` it still runs as the server's
+ * user and can read whatever that user can, so it only counts as a sandbox
+ * with `uid` set to an account that owns nothing.
+ */
+export async function runPythonTests(code, testCases, { python = "python3", timeoutMs = 2000, memoryMb = 256, uid, gid } = {}) {
+  const startTime = Date.now();
+  const wallTimeoutMs = timeoutMs * (testCases.length + 1) + 1000;
+  const executable = await resolvePython(python);
+  const inputs = testCases.map((testCase) => testCase.input);
+  const child = executable ? await runProcess(executable, ["-I", "-B", "-c", PYTHON_RUNNER], JSON.stringify({ code, inputs, timeoutMs, memoryMb }), wallTimeoutMs, { uid, gid }) : { missing: true };
+
+  let outcome;
+  try {
+    outcome = readOutcome(JSON.parse(child.stdout), testCases);
+  } catch {
+    const error = child.missing
+      ? `${python} is not installed`
+      : child.timedOut
+        ? `Sandbox timed out after ${wallTimeoutMs}ms`
+        : child.stderr.trim() || `Sandbox exited unexpectedly (code ${child.exitCode})`;
+    outcome = { loaded: false, timedOut: child.timedOut, error, results: [], logs: [] };
+  }
+
+  const passed = outcome.results.filter((result) => result.passed).length;
+  return {
+    ...outcome,
+    total: testCases.length,
+    passed,
+    failed: testCases.length - passed,
+    passRate: testCases.length ? passed / testCases.length : 0,
+    durationMs: Date.now() - startTime,
+  };
+}
+
+/**
+ * Parses a solution with the language's own tooling without running it.
+ * Resolves to null when the code parses, the error message when it doesn't,
+ * and undefined when the tool isn't available.
+ */
+export async function checkSyntax(check, code, { python = "python3", timeoutMs = 5000, uid, gid } = {}) {
+  const [command, args, options = { uid, gid }] = SYNTAX_CHECKS[check](check === "python" ? await resolvePython(python) : python);
+  if (!command) {
+    return undefined;
+  }
+  const child = await runProcess(command, args, code, timeoutMs, options);
+
+  if (child.missing) {
+    return undefined;
+  }
+  if (child.timedOut) {
+    return `Syntax check timed out after ${timeoutMs}ms`;
+  }
+  return child.exitCode === 0 ? null : child.stderr.trim().split("\n").slice(-3).join("\n") || `${command} exited with code ${child.exitCode}`;
+}
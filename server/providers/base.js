@@ -0,0 +1,152 @@
+import fetch from "node-fetch";
+
+/**
+ * Common surface for every LLM backend. Adapters implement `stream()` and
+ * `listModels()`; `complete()` collects a stream into a single string.
+ *
+ * `stream()` performs the HTTP request up front (so connection and status
+ * errors surface immediately) and resolves to an async iterable of
+ * `{ content, done, raw }` chunks; the final chunk may also carry
+ * `usage: { promptTokens, completionTokens }` when the server reports it,
+ * plus `evalMs`, `promptEvalMs` and `loadMs` from servers that time the call.
+ * `format` is either "json" or a JSON schema the response must match.
+ * `options` holds sampling settings (`temperature`, `seed`, ...) under
+ * Ollama's names. Passing an AbortSignal as `signal` cancels both the request
+ * and the iteration.
+ */
+export class LLMProvider {
+  constructor({ url, model, apiKey = null, label }) {
+    this.url = url.replace(/\/$/, "");
+    this.defaultModel = model;
+    this.apiKey = apiKey;
+    this.label = label;
+  }
+
+  get type() {
+    return this.constructor.type;
+  }
+
+  async stream() {
+    throw new Error(`${this.type} provider does not implement stream()`);
+  }
+
+  async listModels() {
+    throw new Error(`${this.type} provider does not implement listModels()`);
+  }
+
+  /**
+   * What `/health` reports about the server: its version, the installed
+   * models and the models currently loaded in memory, where it tells.
+   */
+  async health({ signal } = {}) {
+    return { version: null, models: await this.listModels({ signal }), loaded: null };
+  }
+
+  /**
+   * Downloads `model` onto the server, as an async iterable of
+   * `{ status, digest, total, completed }` progress updates.
+   */
+  async pull() {
+    throw new Error(`${this.type} provider can't pull models`);
+  }
+
+  /**
+   * Loads `model` into memory and keeps it there for `keepAlive` (e.g. "10m").
+   * Resolves to `{ loadMs }`, or null when the server has nothing to warm up.
+   */
+  async warmup() {
+    return null;
+  }
+
+  async complete(request) {
+    const chunks = await this.stream(request);
+    let text = "";
+    for await (const chunk of chunks) {
+      text += chunk.content;
+    }
+    return text;
+  }
+
+  async request(path, { method = "GET", body, signal } = {}) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.url}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal,
+    });
+
+    if (!response.ok) {
+      // `status` lets callers tell a busy server from a bad request
+      throw Object.assign(new Error(`${this.label} API error: ${response.status} ${response.statusText}`), { status: response.status });
+    }
+
+    return response;
+  }
+}
+
+// Version, installed models and the models loaded in memory (`/api/ps`) of an Ollama server
+export async function ollamaHealth(provider, signal) {
+  const [version, models, running] = await Promise.all([
+    provider.request("/api/version", { signal }).then((response) => response.json()),
+    provider.listModels({ signal }),
+    provider.request("/api/ps", { signal }).then((response) => response.json()),
+  ]);
+  return {
+    version: version.version || null,
+    models,
+    loaded: (running.models || []).map((model) => ({ name: model.name, sizeVram: model.size_vram ?? null, expiresAt: model.expires_at ?? null })),
+  };
+}
+
+// Streams `/api/pull` progress; Ollama reports failures as `{ error }` lines
+export async function* ollamaPull(provider, model, signal) {
+  const response = await provider.request("/api/pull", { method: "POST", body: { model, stream: true }, signal });
+  for await (const line of readLines(response.body)) {
+    const data = JSON.parse(line);
+    if (data.error) {
+      throw new Error(data.error);
+    }
+    yield { status: data.status, digest: data.digest ?? null, total: data.total ?? null, completed: data.completed ?? null };
+  }
+}
+
+// An empty prompt makes Ollama load the model without generating anything
+export async function ollamaWarmup(provider, model, keepAlive, signal) {
+  const response = await provider.request("/api/generate", { method: "POST", body: { model, prompt: "", keep_alive: keepAlive, stream: false }, signal });
+  const data = await response.json();
+  return { loadMs: Math.round((data.load_duration || 0) / 1e6) };
+}
+
+// Token counts and timings from the final frame of an Ollama stream; Ollama reports durations in nanoseconds
+export const ollamaUsage = (data) => ({
+  promptTokens: data.prompt_eval_count || 0,
+  completionTokens: data.eval_count || 0,
+  evalMs: Math.round((data.eval_duration || 0) / 1e6),
+  promptEvalMs: Math.round((data.prompt_eval_duration || 0) / 1e6),
+  loadMs: Math.round((data.load_duration || 0) / 1e6),
+});
+
+/**
+ * Splits a byte stream into lines, handling lines that span chunks.
+ */
+export async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield line;
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) yield buffer;
+}
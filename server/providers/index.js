@@ -0,0 +1,24 @@
+import { OllamaChatProvider } from "./ollamaChat.js";
+import { OllamaGenerateProvider } from "./ollamaGenerate.js";
+import { OpenAICompatibleProvider } from "./openai.js";
+import { MockProvider } from "./mock.js";
+
+const PROVIDERS = {
+  [OllamaChatProvider.type]: OllamaChatProvider,
+  [OllamaGenerateProvider.type]: OllamaGenerateProvider,
+  [OpenAICompatibleProvider.type]: OpenAICompatibleProvider,
+  [MockProvider.type]: MockProvider,
+};
+
+export const PROVIDER_TYPES = Object.keys(PROVIDERS);
+
+/**
+ * Builds the adapter for one role from `{ type, url, model, apiKey }`.
+ */
+export function createProvider({ type, ...options }) {
+  const Provider = PROVIDERS[type];
+  if (!Provider) {
+    throw new Error(`Unknown provider type "${type}". Expected one of: ${PROVIDER_TYPES.join(", ")}`);
+  }
+  return new Provider(options);
+}
@@ -0,0 +1,146 @@
+import { LLMProvider } from "./base.js";
+
+// Keyed by the language label in the solver's system prompt; the canned tests call `solve(...)`, which works in JS and Python alike
+const MOCK_SOLUTIONS = {
+  JavaScript: {
+    fence: "javascript",
+    code: `function solve(input) {
+  if (input === undefined || input === null) {
+    throw new TypeError("input is required");
+  }
+  return input;
+}`,
+  },
+  Python: {
+    fence: "python",
+    comment: "#",
+    code: `def solve(value):
+    if value is None:
+        raise ValueError("value is required")
+    return value`,
+  },
+  Go: {
+    fence: "go",
+    code: `package main
+
+func Solve[T any](input T) T {
+	return input
+}`,
+  },
+};
+
+const MOCK_TESTS = {
+  tests: [
+    { name: "returns numbers unchanged", input: "solve(1)", expected: 1 },
+    { name: "returns strings unchanged", input: 'solve("a")', expected: "a" },
+    { name: "returns arrays unchanged", input: "solve([1, 2])", expected: [1, 2] },
+  ],
+};
+
+/**
+ * Offline provider that streams canned solutions, reviews and test cases so
+ * the whole solve/review loop can run without a model server. Responses open
+ * with a DeepSeek-style `<think>` block, and review scores climb with the round
+ * number so early-stop and best-solution logic get exercised. A problem that
+ * mentions "syntax error" gets a JavaScript solution that doesn't parse until
+ * the solver is told so. One that mentions "flaky" makes every third call
+ * fail with a 503 and every fifth break off after its first chunk, for the
+ * call retries and round recovery.
+ */
+export class MockProvider extends LLMProvider {
+  static type = "mock";
+
+  constructor({ model = "mock", delayMs = 5, ...rest } = {}) {
+    super({ ...rest, url: "mock://local", model });
+    this.delayMs = delayMs;
+    // Pulled and warmed-up models, so the admin endpoints have something to change
+    this.models = new Set([model]);
+    this.loaded = new Set();
+    this.calls = 0;
+  }
+
+  respond(messages, options = {}) {
+    const prompt = messages.map((message) => message.content).join("\n");
+
+    if (/test cases/i.test(prompt)) {
+      return JSON.stringify(MOCK_TESTS);
+    }
+
+    if (/^Compare the following two .*solutions/m.test(prompt)) {
+      return JSON.stringify({ winner: "A", reason: "Solution A validates its input the same way but reads more clearly." });
+    }
+
+    if (/^Review the following .*solution/m.test(prompt)) {
+      const round = Number(prompt.match(/Round (\d+)/)?.[1] || 1);
+      // A security auditor persona is far harsher, so panels show some disagreement
+      const score = Math.min(5 + round, 9) - (/security auditor/i.test(prompt) ? 4 : 0);
+      const review = {
+        scores: { correctness: score, efficiency: score, readability: score - 1, edgeCases: score - 1, security: 9 },
+        strengths: ["Handles the basic case."],
+        improvements: [`Add input validation for round ${round}.`, "Document edge cases."],
+        summary: `Round ${round} solution works but needs hardening.`,
+      };
+      return `<think>\nChecking the solution against the problem for round ${round}.\n</think>\n\n${JSON.stringify(review)}`;
+    }
+
+    const solution = MOCK_SOLUTIONS[prompt.match(/You are an? (\w+) expert/)?.[1]] || MOCK_SOLUTIONS.JavaScript;
+    // Tag sampled variants so parallel candidates are told apart
+    const variant = options.seed === undefined ? "" : `${solution.comment || "//"} variant ${options.seed}\n`;
+    const broken = solution === MOCK_SOLUTIONS.JavaScript && /syntax error/i.test(prompt) && !messages.at(-1).content.startsWith("Your solution does not parse");
+    const code = broken ? solution.code.replace(/\}$/, "") : solution.code;
+    return `<think>\nThe input should be validated and returned as-is.\n</think>\n\n\`\`\`${solution.fence}\n${variant}${code}\n\`\`\``;
+  }
+
+  async stream({ messages, options, signal }) {
+    signal?.throwIfAborted();
+    const text = this.respond(messages, options);
+    const delayMs = this.delayMs;
+    const flaky = messages.some((message) => /flaky/i.test(message.content));
+    const call = ++this.calls;
+    if (flaky && call % 3 === 0) {
+      throw Object.assign(new Error(`${this.label} API error: 503 Service Unavailable`), { status: 503 });
+    }
+
+    return (async function* () {
+      for (let index = 0; index < text.length; index += 8) {
+        signal?.throwIfAborted();
+        if (flaky && call % 5 === 0 && index > 0) {
+          throw new Error("Mock connection reset");
+        }
+        if (delayMs) {
+          await new Promise((resolve) => setTimeout(resolve, delayMs));
+        }
+        yield { content: text.slice(index, index + 8), done: false, raw: null };
+      }
+      yield { content: "", done: true, raw: null };
+    })();
+  }
+
+  async listModels() {
+    return [...this.models];
+  }
+
+  async health() {
+    return { version: "mock", models: await this.listModels(), loaded: [...this.loaded].map((name) => ({ name, sizeVram: null, expiresAt: null })) };
+  }
+
+  async pull(model, { signal } = {}) {
+    const { models, delayMs } = this;
+    return (async function* () {
+      yield { status: "pulling manifest", digest: null, total: null, completed: null };
+      const total = 4;
+      for (let completed = 1; completed <= total; completed++) {
+        signal?.throwIfAborted();
+        await new Promise((resolve) => setTimeout(resolve, delayMs * 10));
+        yield { status: "pulling mock layer", digest: "sha256:mock", total, completed };
+      }
+      models.add(model);
+      yield { status: "success", digest: null, total: null, completed: null };
+    })();
+  }
+
+  async warmup(model) {
+    this.loaded.add(model);
+    return { loadMs: 0 };
+  }
+}
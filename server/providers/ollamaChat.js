@@ -0,0 +1,44 @@
+import { LLMProvider, ollamaHealth, ollamaPull, ollamaUsage, ollamaWarmup, readLines } from "./base.js";
+
+/**
+ * Ollama `/api/chat`, streamed as newline-delimited JSON.
+ */
+export class OllamaChatProvider extends LLMProvider {
+  static type = "ollama-chat";
+
+  async stream({ model = this.defaultModel, messages, format, options, signal }) {
+    const response = await this.request("/api/chat", {
+      method: "POST",
+      signal,
+      body: { model, messages, stream: true, ...(format && { format }), ...(options && { options }) },
+    });
+
+    return (async function* () {
+      for await (const line of readLines(response.body)) {
+        const data = JSON.parse(line);
+        if (data.error) {
+          throw new Error(data.error);
+        }
+        yield { content: data.message?.content || "", done: Boolean(data.done), raw: data, ...(data.done && { usage: ollamaUsage(data) }) };
+      }
+    })();
+  }
+
+  async listModels({ signal } = {}) {
+    const response = await this.request("/api/tags", { signal });
+    const data = await response.json();
+    return (data.models || []).map((model) => model.name);
+  }
+
+  async health({ signal } = {}) {
+    return ollamaHealth(this, signal);
+  }
+
+  async pull(model, { signal } = {}) {
+    return ollamaPull(this, model, signal);
+  }
+
+  async warmup(model, { keepAlive, signal } = {}) {
+    return ollamaWarmup(this, model, keepAlive, signal);
+  }
+}
@@ -0,0 +1,68 @@
+import { LLMProvider, ollamaHealth, ollamaPull, ollamaUsage, ollamaWarmup, readLines } from "./base.js";
+
+/**
+ * Ollama `/api/generate`, the single-prompt endpoint the original `index.js`
+ * used. Chat messages are flattened into one prompt; the system message is
+ * passed through Ollama's `system` field.
+ */
+export class OllamaGenerateProvider extends LLMProvider {
+  static type = "ollama-generate";
+
+  static toPrompt(messages) {
+    const conversation = messages.filter((message) => message.role !== "system");
+    if (conversation.length === 1) {
+      return conversation[0].content;
+    }
+
+    const turns = conversation.map((message) => `${message.role === "assistant" ? "Assistant" : "User"}: ${message.content}`);
+    return `${turns.join("\n\n")}\n\nAssistant:`;
+  }
+
+  async stream({ model = this.defaultModel, messages, format, options, signal }) {
+    const system = messages
+      .filter((message) => message.role === "system")
+      .map((message) => message.content)
+      .join("\n");
+
+    const response = await this.request("/api/generate", {
+      method: "POST",
+      signal,
+      body: {
+        model,
+        prompt: OllamaGenerateProvider.toPrompt(messages),
+        stream: true,
+        ...(system && { system }),
+        ...(format && { format }),
+        ...(options && { options }),
+      },
+    });
+
+    return (async function* () {
+      for await (const line of readLines(response.body)) {
+        const data = JSON.parse(line);
+        if (data.error) {
+          throw new Error(data.error);
+        }
+        yield { content: data.response || "", done: Boolean(data.done), raw: data, ...(data.done && { usage: ollamaUsage(data) }) };
+      }
+    })();
+  }
+
+  async listModels({ signal } = {}) {
+    const response = await this.request("/api/tags", { signal });
+    const data = await response.json();
+    return (data.models || []).map((model) => model.name);
+  }
+
+  async health({ signal } = {}) {
+    return ollamaHealth(this, signal);
+  }
+
+  async pull(model, { signal } = {}) {
+    return ollamaPull(this, model, signal);
+  }
+
+  async warmup(model, { keepAlive, signal } = {}) {
+    return ollamaWarmup(this, model, keepAlive, signal);
+  }
+}
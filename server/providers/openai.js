@@ -0,0 +1,74 @@
+import { createParser } from "eventsource-parser";
+import { LLMProvider } from "./base.js";
+
+/**
+ * OpenAI-compatible `/v1/chat/completions` streamed over SSE. Works with
+ * LM Studio, vLLM, the llama.cpp server and anything else speaking that API.
+ * `url` is the server root, without the `/v1` suffix.
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  static type = "openai";
+
+  // Ollama option names that have an OpenAI request field
+  static OPTION_FIELDS = { temperature: "temperature", seed: "seed", top_p: "top_p", num_predict: "max_tokens" };
+
+  static toRequestFields(options = {}) {
+    return Object.fromEntries(
+      Object.entries(options)
+        // num_predict -1 (no limit) is the default here, and max_tokens has no equivalent
+        .filter(([name, value]) => name in OpenAICompatibleProvider.OPTION_FIELDS && !(name === "num_predict" && value < 0))
+        .map(([name, value]) => [OpenAICompatibleProvider.OPTION_FIELDS[name], value])
+    );
+  }
+
+  async stream({ model = this.defaultModel, messages, format, options, signal }) {
+    const response = await this.request("/v1/chat/completions", {
+      method: "POST",
+      signal,
+      body: {
+        model,
+        messages,
+        stream: true,
+        // Adds a last chunk with the token usage
+        stream_options: { include_usage: true },
+        ...OpenAICompatibleProvider.toRequestFields(options),
+        ...(format && { response_format: format === "json" ? { type: "json_object" } : { type: "json_schema", json_schema: { name: "response", schema: format } } }),
+      },
+    });
+
+    return (async function* () {
+      const pending = [];
+      const parser = createParser({
+        onEvent(event) {
+          if (event.data === "[DONE]") {
+            pending.push({ content: "", done: true, raw: null });
+            return;
+          }
+          const data = JSON.parse(event.data);
+          if (data.error) {
+            throw new Error(data.error.message || JSON.stringify(data.error));
+          }
+          const choice = data.choices?.[0];
+          pending.push({
+            content: choice?.delta?.content || "",
+            done: Boolean(choice?.finish_reason),
+            raw: data,
+            ...(data.usage && { usage: { promptTokens: data.usage.prompt_tokens || 0, completionTokens: data.usage.completion_tokens || 0 } }),
+          });
+        },
+      });
+
+      const decoder = new TextDecoder();
+      for await (const chunk of response.body) {
+        parser.feed(decoder.decode(chunk, { stream: true }));
+        yield* pending.splice(0);
+      }
+    })();
+  }
+
+  async listModels({ signal } = {}) {
+    const response = await this.request("/v1/models", { signal });
+    const data = await response.json();
+    return (data.data || []).map((model) => model.id);
+  }
+}
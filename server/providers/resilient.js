@@ -0,0 +1,142 @@
+import { LLMProvider } from "./base.js";
+
+// Statuses worth asking the same host again; other 4xx answers go straight to the next host
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+const timeoutError = (message) => Object.assign(new Error(message), { name: "TimeoutError" });
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Wraps a role's provider with call timeouts, retries and fallback hosts.
+ *
+ * Each streamed call gets three timeouts: `connectMs` until the server
+ * answers (Ollama only answers once the model is loaded), `firstTokenMs`
+ * from there to the first chunk, and `idleMs` between later chunks. A call
+ * that fails before its first chunk is retried with exponential backoff
+ * (`retries` times, `baseDelayMs` doubling up to `maxDelayMs`), then tried on
+ * each fallback host in turn; fallbacks without a model of their own serve
+ * the requested one. Once a chunk has been handed out the call can't be
+ * replayed, so later failures are thrown to the caller.
+ *
+ * `onRetry` is called with `{ host, attempt, delayMs, message, next }` before
+ * each new attempt; a request can pass its own `onRetry` as well. Everything
+ * else (health, pulls, warmup) goes to the primary host.
+ */
+export class ResilientProvider extends LLMProvider {
+  constructor(primary, { fallbacks = [], connectMs, firstTokenMs, idleMs, retries, baseDelayMs, maxDelayMs, onRetry = () => {} }) {
+    super({ url: primary.url, model: primary.defaultModel, apiKey: primary.apiKey, label: primary.label });
+    this.primary = primary;
+    this.fallbacks = fallbacks;
+    this.policy = { connectMs, firstTokenMs, idleMs, retries, baseDelayMs, maxDelayMs };
+    this.onRetry = onRetry;
+  }
+
+  get type() {
+    return this.primary.type;
+  }
+
+  listModels(options) {
+    return this.primary.listModels(options);
+  }
+
+  health(options) {
+    return this.primary.health(options);
+  }
+
+  pull(model, options) {
+    return this.primary.pull(model, options);
+  }
+
+  warmup(model, options) {
+    return this.primary.warmup(model, options);
+  }
+
+  async stream({ model = this.defaultModel, signal, onRetry, ...request }) {
+    const { retries, baseDelayMs, maxDelayMs } = this.policy;
+    const attempts = [this.primary, ...this.fallbacks].flatMap((provider) =>
+      Array.from({ length: retries + 1 }, (_, index) => ({ provider, model: provider === this.primary ? model : provider.defaultModel || model, attempt: index + 1 }))
+    );
+
+    for (let index = 0; ; index++) {
+      const { provider, model: attemptModel, attempt } = attempts[index];
+      try {
+        return await this.attempt(provider, { ...request, model: attemptModel }, signal);
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        // Answers like 404 (model not found) won't change on this host, but another host may have the model
+        const sameHost = error.status === undefined || RETRYABLE_STATUSES.has(error.status);
+        const next = attempts.slice(index + 1).find((entry) => entry.provider !== provider || sameHost);
+        if (!next) throw error;
+
+        const delayMs = next.provider === provider ? Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs) : 0;
+        const retry = { host: provider.label, attempt, delayMs, message: error.message, next: next.provider.label };
+        this.onRetry(retry);
+        onRetry?.(retry);
+        await sleep(delayMs, signal);
+        index = attempts.indexOf(next) - 1;
+      }
+    }
+  }
+
+  // One call with the three timeouts; resolves once the first chunk is in
+  async attempt(provider, request, signal) {
+    const { connectMs, firstTokenMs, idleMs } = this.policy;
+    const controller = new AbortController();
+    const forward = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", forward, { once: true });
+
+    let timer = null;
+    let timedOut = null;
+    const arm = (ms, message) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = timeoutError(`${provider.label} ${message}`);
+        controller.abort(timedOut);
+      }, ms);
+    };
+    const finish = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", forward);
+    };
+
+    let iterator;
+    let first;
+    try {
+      arm(connectMs, `did not answer within ${connectMs}ms`);
+      const chunks = await provider.stream({ ...request, signal: controller.signal });
+      arm(firstTokenMs, `sent nothing within ${firstTokenMs}ms`);
+      iterator = chunks[Symbol.asyncIterator]();
+      first = await iterator.next();
+      arm(idleMs, `stalled for ${idleMs}ms`);
+    } catch (error) {
+      finish();
+      throw timedOut || error;
+    }
+
+    return (async function* () {
+      try {
+        for (let result = first; !result.done; result = await iterator.next()) {
+          yield result.value;
+          arm(idleMs, `stalled for ${idleMs}ms`);
+        }
+      } catch (error) {
+        throw timedOut || error;
+      } finally {
+        finish();
+      }
+    })();
+  }
+}
@@ -0,0 +1,77 @@
+const OPEN_TAG = "<think>";
+const CLOSE_TAG = "</think>";
+
+// Length of the longest suffix of `text` that could be the start of `tag`
+const partialTagLength = (text, tag) => {
+  for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+    if (text.endsWith(tag.slice(0, length))) {
+      return length;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Incrementally separates `<think>…</think>` reasoning (as emitted by
+ * DeepSeek-R1 and similar models) from the answer text. Tags may be split
+ * across any number of stream chunks; a trailing partial tag is held back
+ * until the next chunk decides what it is.
+ */
+export class ReasoningFilter {
+  constructor() {
+    this.buffer = "";
+    this.inReasoning = false;
+  }
+
+  // Returns the `{ content, thinking }` that can be released for this chunk
+  push(text) {
+    this.buffer += text;
+    let content = "";
+    let thinking = "";
+
+    while (this.buffer) {
+      const tag = this.inReasoning ? CLOSE_TAG : OPEN_TAG;
+      const index = this.buffer.indexOf(tag);
+
+      if (index !== -1) {
+        const before = this.buffer.slice(0, index);
+        if (this.inReasoning) {
+          thinking += before;
+        } else {
+          content += before;
+        }
+        this.buffer = this.buffer.slice(index + tag.length);
+        this.inReasoning = !this.inReasoning;
+        continue;
+      }
+
+      const held = partialTagLength(this.buffer, tag);
+      const released = this.buffer.slice(0, this.buffer.length - held);
+      if (this.inReasoning) {
+        thinking += released;
+      } else {
+        content += released;
+      }
+      this.buffer = this.buffer.slice(released.length);
+      break;
+    }
+
+    return { content, thinking };
+  }
+
+  // Releases whatever is still buffered once the stream ends
+  flush() {
+    const rest = this.buffer;
+    this.buffer = "";
+    return this.inReasoning ? { content: "", thinking: rest } : { content: rest, thinking: "" };
+  }
+}
+
+/**
+ * Removes reasoning spans from a complete response.
+ */
+export function stripReasoning(text) {
+  const filter = new ReasoningFilter();
+  const { content } = filter.push(text);
+  return (content + filter.flush().content).trim();
+}
@@ -0,0 +1,190 @@
+import { renderTemplate } from "./templates.js";
+
+/**
+ * Criteria every review scores on a 0-10 scale. Weights sum to 1, so the
+ * weighted total stays on the same scale as the individual criteria.
+ */
+export const RUBRIC = [
+  { key: "correctness", label: "Correctness", weight: 0.4, description: "solves the stated problem and returns the right results" },
+  { key: "efficiency", label: "Efficiency", weight: 0.2, description: "reasonable time and memory complexity" },
+  { key: "readability", label: "Readability", weight: 0.15, description: "clear naming, structure and idiomatic code" },
+  { key: "edgeCases", label: "Edge cases", weight: 0.15, description: "handles empty, invalid and boundary inputs" },
+  { key: "security", label: "Security", weight: 0.1, description: "no unsafe evaluation, injection or other exploitable input handling" },
+];
+
+const CRITERIA_KEYS = RUBRIC.map((criterion) => criterion.key);
+
+// Passed as Ollama's `format` so the reviewer is constrained to this shape
+export const REVIEW_SCHEMA = {
+  type: "object",
+  properties: {
+    scores: {
+      type: "object",
+      properties: Object.fromEntries(CRITERIA_KEYS.map((key) => [key, { type: "number", minimum: 0, maximum: 10 }])),
+      required: CRITERIA_KEYS,
+    },
+    strengths: { type: "array", items: { type: "string" } },
+    improvements: { type: "array", items: { type: "string" } },
+    summary: { type: "string" },
+  },
+  required: ["scores", "strengths", "improvements", "summary"],
+};
+
+const EXAMPLE = JSON.stringify({
+  scores: Object.fromEntries(CRITERIA_KEYS.map((key) => [key, 7])),
+  strengths: ["Handles the main case"],
+  improvements: ["Validate the input type"],
+  summary: "One or two sentences on the overall quality.",
+});
+
+// Renders a reviewer template's user prompt
+export function buildReviewPrompt(problem, solution, round, language, template, analysis = null) {
+  return renderTemplate(template.user, {
+    problem,
+    // Static analysis facts follow the code, so every template passes them on
+    solution: `\`\`\`${language.fence}\n${solution}\n\`\`\`${analysis ? `\n\n${analysis}` : ""}`,
+    round,
+    language: language.label,
+    rubric: RUBRIC.map((criterion) => `- ${criterion.key}: ${criterion.description}`).join("\n"),
+    example: EXAMPLE,
+  });
+}
+
+// Follow-up turn asking the reviewer to fix a response that failed validation
+export function buildReviewRetryPrompt(errors) {
+  return `Your response could not be used: ${errors.join("; ")}.
+
+Respond again with JSON only, in this shape:
+${EXAMPLE}`;
+}
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Accepts 8, "8", "8.5/10"; anything else is invalid
+const toScore = (value) => {
+  const number = typeof value === "string" ? parseFloat(value) : value;
+  return typeof number === "number" && Number.isFinite(number) ? number : null;
+};
+
+const toList = (value) => (Array.isArray(value) ? value : typeof value === "string" && value.trim() ? [value] : []).map(String).filter((item) => item.trim());
+
+/**
+ * Weighted mean of the criteria that were scored, re-normalised over their
+ * weights so a partially scored review still lands on the 0-10 scale.
+ */
+export function weightedTotal(scores) {
+  const scored = RUBRIC.filter((criterion) => typeof scores[criterion.key] === "number");
+  const weight = scored.reduce((sum, criterion) => sum + criterion.weight, 0);
+  if (!weight) {
+    return 0;
+  }
+  return round1(scored.reduce((sum, criterion) => sum + scores[criterion.key] * criterion.weight, 0) / weight);
+}
+
+/**
+ * Checks parsed reviewer output against the rubric. Returns the normalised
+ * review (with its weighted `total`) and the list of problems found; the review
+ * is null whenever there are errors.
+ */
+export function validateReview(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { review: null, errors: ["expected a JSON object"] };
+  }
+
+  const errors = [];
+  const scores = {};
+  for (const key of CRITERIA_KEYS) {
+    const score = toScore(data.scores?.[key]);
+    if (score === null) {
+      errors.push(`scores.${key} must be a number`);
+    } else if (score < 0 || score > 10) {
+      errors.push(`scores.${key} must be between 0 and 10`);
+    } else {
+      scores[key] = round1(score);
+    }
+  }
+
+  if (errors.length) {
+    return { review: null, errors };
+  }
+
+  return {
+    review: {
+      scores,
+      strengths: toList(data.strengths),
+      improvements: toList(data.improvements),
+      summary: typeof data.summary === "string" ? data.summary.trim() : "",
+      total: weightedTotal(scores),
+    },
+    errors: [],
+  };
+}
+
+/**
+ * Parses a JSON review, tolerating code fences or chatter around the object.
+ */
+export function parseReview(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end < start) {
+    return { review: null, errors: ["no JSON object found"] };
+  }
+
+  try {
+    return validateReview(JSON.parse(text.slice(start, end + 1)));
+  } catch (error) {
+    return { review: null, errors: [`invalid JSON: ${error.message}`] };
+  }
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const SCORE_PATTERN = String.raw`["*_:\s]*(\d+(?:\.\d+)?)(?:\s*\/\s*10)?`;
+
+/**
+ * Last resort for output that never validated: picks "criterion: 8/10" style
+ * scores out of free text, or failing that a single overall "Score: 8.5/10"
+ * (bold markers and decimals allowed). Returns null when nothing is found.
+ */
+export function parseLooseReview(text) {
+  const scores = {};
+  for (const criterion of RUBRIC) {
+    const names = [criterion.key, criterion.label, criterion.label.replace(" ", "_")].map(escapeRegExp).join("|");
+    const match = text.match(new RegExp(`(?:${names})${SCORE_PATTERN}`, "i"));
+    const score = match ? parseFloat(match[1]) : NaN;
+    if (score >= 0 && score <= 10) {
+      scores[criterion.key] = round1(score);
+    }
+  }
+
+  let total = weightedTotal(scores);
+  if (!Object.keys(scores).length) {
+    const overall = text.match(new RegExp(`score${SCORE_PATTERN}`, "i"));
+    const score = overall ? parseFloat(overall[1]) : NaN;
+    if (!(score >= 0 && score <= 10)) {
+      return null;
+    }
+    total = round1(score);
+  }
+
+  return { scores, strengths: [], improvements: [], summary: "", total };
+}
+
+/**
+ * Renders a review as the markdown shown in the UI and fed back to the solver.
+ */
+export function formatReview(review) {
+  const rows = RUBRIC.filter((criterion) => typeof review.scores[criterion.key] === "number").map(
+    (criterion) => `| ${criterion.label} | ${review.scores[criterion.key]}/10 | ${Math.round(criterion.weight * 100)}% |`
+  );
+  const list = (items) => items.map((item) => `- ${item}`).join("\n") || "- None noted";
+
+  return [
+    `### Score: ${review.total}/10`,
+    rows.length ? `| Criterion | Score | Weight |\n| --- | --- | --- |\n${rows.join("\n")}` : "",
+    review.summary,
+    `### What works well\n${list(review.strengths)}`,
+    `### What could be improved\n${list(review.improvements)}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
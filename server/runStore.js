@@ -0,0 +1,109 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+
+/**
+ * Keeps finished `/solve` runs in a JSON-lines file, one run per line.
+ * Runs are loaded into memory on first access; deletes rewrite the file.
+ */
+export class RunStore {
+  constructor(dataDir) {
+    this.filePath = path.join(dataDir, "runs.jsonl");
+    this.runs = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  static createId() {
+    return randomUUID();
+  }
+
+  async load() {
+    if (this.runs) {
+      return this.runs;
+    }
+
+    this.runs = new Map();
+    try {
+      const contents = await fs.readFile(this.filePath, "utf8");
+      for (const line of contents.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          const run = JSON.parse(line);
+          this.runs.set(run.id, run);
+        } catch (error) {
+          console.error("Skipping corrupt run record:", error.message);
+        }
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+
+    return this.runs;
+  }
+
+  // Serializes file writes so concurrent runs can't interleave lines
+  enqueueWrite(operation) {
+    this.writeQueue = this.writeQueue.then(operation, operation);
+    return this.writeQueue;
+  }
+
+  async save(run) {
+    const runs = await this.load();
+    const isUpdate = runs.has(run.id);
+    runs.set(run.id, run);
+
+    await this.enqueueWrite(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      if (isUpdate) {
+        await this.rewrite();
+      } else {
+        await fs.appendFile(this.filePath, `${JSON.stringify(run)}\n`);
+      }
+    });
+
+    return run;
+  }
+
+  async list() {
+    const runs = await this.load();
+    return [...runs.values()]
+      .map(({ id, parent = null, problem, solverModel, reviewerModel, status, startedAt, finishedAt, durationMs, bestScore, rounds }) => ({
+        id,
+        parent,
+        problem,
+        solverModel,
+        reviewerModel,
+        status,
+        startedAt,
+        finishedAt,
+        durationMs,
+        bestScore,
+        roundCount: rounds.length,
+      }))
+      .sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  async get(id) {
+    const runs = await this.load();
+    return runs.get(id) || null;
+  }
+
+  async delete(id) {
+    const runs = await this.load();
+    if (!runs.delete(id)) {
+      return false;
+    }
+
+    await this.enqueueWrite(() => this.rewrite());
+    return true;
+  }
+
+  async rewrite() {
+    const contents = [...this.runs.values()].map((run) => `${JSON.stringify(run)}\n`).join("");
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, contents);
+    await fs.rename(tempPath, this.filePath);
+  }
+}
@@ -0,0 +1,84 @@
+import { Worker } from "node:worker_threads";
+
+const WORKER_URL = new URL("./sandboxWorker.js", import.meta.url);
+
+/**
+ * Runs a generated solution against test cases inside a worker thread.
+ * The code is evaluated in a fresh `vm` context holding no host objects;
+ * every evaluation gets `timeoutMs`, the worker heap is capped at `memoryMb`,
+ * and the whole worker is terminated if it outlives its wall-clock budget.
+ * The worker starts with an empty environment so no API keys are in reach.
+ *
+ * This keeps a model's mistakes (runaway loops, huge allocations) from taking
+ * the server down. `vm` is not a security boundary, so run untrusted problems
+ * on a host that holds nothing worth stealing.
+ *
+ * Each test case is `{ name?, input, expected }` where `input` is an
+ * expression evaluated after the solution, e.g. `{ input: "sum(1, 2)", expected: 3 }`.
+ */
+export function runInSandbox(code, testCases, { timeoutMs = 2000, memoryMb = 64 } = {}) {
+  const startTime = Date.now();
+  const wallTimeoutMs = timeoutMs * (testCases.length + 1) + 1000;
+
+  const summarize = (outcome) => {
+    const passed = outcome.results.filter((result) => result.passed).length;
+    return {
+      ...outcome,
+      total: testCases.length,
+      passed,
+      failed: testCases.length - passed,
+      passRate: testCases.length ? passed / testCases.length : 0,
+      durationMs: Date.now() - startTime,
+    };
+  };
+
+  return new Promise((resolve) => {
+    let settled = false;
+    const finish = (outcome) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(summarize(outcome));
+    };
+
+    const worker = new Worker(WORKER_URL, {
+      workerData: { code, testCases, timeoutMs },
+      env: {},
+      resourceLimits: { maxOldGenerationSizeMb: memoryMb, maxYoungGenerationSizeMb: Math.max(4, Math.floor(memoryMb / 4)) },
+      stdout: true,
+      stderr: true,
+    });
+
+    const timer = setTimeout(() => {
+      finish({ loaded: false, timedOut: true, error: `Sandbox timed out after ${wallTimeoutMs}ms`, results: [], logs: [] });
+    }, wallTimeoutMs);
+
+    worker.on("message", (outcome) => finish({ timedOut: false, ...outcome }));
+    worker.on("error", (error) => {
+      const message = error.code === "ERR_WORKER_OUT_OF_MEMORY" ? `Sandbox exceeded ${memoryMb}MB memory limit` : error.message;
+      finish({ loaded: false, timedOut: false, error: message, results: [], logs: [] });
+    });
+    worker.on("exit", (exitCode) => {
+      finish({ loaded: false, timedOut: false, error: `Sandbox exited unexpectedly (code ${exitCode})`, results: [], logs: [] });
+    });
+  });
+}
+
+/**
+ * Validates test cases coming from the client or the solver model and drops
+ * anything that can't be run.
+ */
+export function normalizeTestCases(testCases) {
+  if (!Array.isArray(testCases)) {
+    return [];
+  }
+
+  return testCases
+    .filter((testCase) => testCase && typeof testCase.input === "string" && testCase.input.trim() && "expected" in testCase)
+    .map((testCase, index) => ({
+      name: typeof testCase.name === "string" && testCase.name.trim() ? testCase.name.trim() : `Test ${index + 1}`,
+      input: testCase.input.trim(),
+      expected: testCase.expected,
+    }));
+}
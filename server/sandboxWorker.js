@@ -0,0 +1,133 @@
+import { parentPort, workerData } from "node:worker_threads";
+import vm from "node:vm";
+
+const { code, testCases, timeoutMs } = workerData;
+
+/**
+ * Sets up `console`, `module` and `exports` and the test harness inside the
+ * solution's context. It's injected as source and runs in the context's own
+ * realm: a host function handed to the context would let the solution walk
+ * `fn.constructor` back to the host's `Function` and from there to `process`,
+ * so the two sides only exchange strings.
+ */
+function harness() {
+  const stringify = JSON.stringify;
+  const indirectEval = eval;
+  const logs = [];
+  const outcomes = [];
+  const print = (...args) => {
+    logs.push(args.map(String).join(" "));
+  };
+  const serialize = (value) => {
+    if (value === undefined) return "undefined";
+    try {
+      return stringify(value);
+    } catch {
+      return String(value);
+    }
+  };
+  const describe = (error) => `${error?.name || "Error"}: ${error?.message || error}`;
+
+  globalThis.console = { log: print, error: print, warn: print, info: print };
+  globalThis.module = { exports: {} };
+  globalThis.exports = globalThis.module.exports;
+
+  Object.defineProperty(globalThis, "__sandbox", {
+    value: Object.freeze({
+      // Async results settle within the same evaluation, since the context drains its own microtasks
+      run(index, source) {
+        outcomes[index] = { error: "Error: Async test never settled" };
+        try {
+          const actual = indirectEval(source);
+          if (actual && typeof actual.then === "function") {
+            actual.then(
+              (value) => (outcomes[index] = { actual: serialize(value) }),
+              (error) => (outcomes[index] = { error: describe(error) })
+            );
+          } else {
+            outcomes[index] = { actual: serialize(actual) };
+          }
+        } catch (error) {
+          outcomes[index] = { error: describe(error) };
+        }
+      },
+      outcome: (index) => stringify(outcomes[index]),
+      logs: () => stringify(logs),
+    }),
+  });
+}
+
+// Reads a JSON string the context produced; anything else (a solution that replaced JSON) reads as `fallback`
+const readJson = (value, fallback) => {
+  if (typeof value !== "string") return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+const describe = (error) => `${error?.name || "Error"}: ${error?.message || error}`;
+
+function run() {
+  // No host objects go in; with its own microtask queue, promise callbacks count against `timeout` too
+  const context = vm.createContext({}, { microtaskMode: "afterEvaluate" });
+  vm.runInContext(`(${harness})()`, context);
+  const evaluate = (source, filename) => vm.runInContext(source, context, { timeout: timeoutMs, filename });
+  const logs = () => {
+    try {
+      return readJson(evaluate("__sandbox.logs()", "logs.js"), []);
+    } catch {
+      return [];
+    }
+  };
+
+  // Solutions are evaluated as plain scripts, so ES module syntax has to go
+  const script = code.replace(/^\s*export\s+default\s+/gm, "").replace(/^\s*export\s+(?=(async\s+)?(function|class|const|let|var)\b)/gm, "");
+
+  const loadStart = performance.now();
+  try {
+    evaluate(script, "solution.js");
+  } catch (error) {
+    return { loaded: false, error: describe(error), loadMs: performance.now() - loadStart, results: [], logs: logs() };
+  }
+  const loadMs = performance.now() - loadStart;
+
+  const results = [];
+  for (const [index, testCase] of testCases.entries()) {
+    const start = performance.now();
+    const result = {
+      name: testCase.name || `Test ${index + 1}`,
+      input: testCase.input,
+      expected: testCase.expected === undefined ? "undefined" : JSON.stringify(testCase.expected),
+      actual: null,
+      passed: false,
+      error: null,
+      durationMs: 0,
+    };
+
+    try {
+      evaluate(`__sandbox.run(${index}, ${JSON.stringify(testCase.input)})`, `test-${index + 1}.js`);
+      const outcome = readJson(evaluate(`__sandbox.outcome(${index})`, `test-${index + 1}.js`), null);
+      if (outcome && typeof outcome.actual === "string") {
+        result.actual = outcome.actual;
+        result.passed = result.actual === result.expected;
+      } else {
+        result.error = typeof outcome?.error === "string" ? outcome.error : "Error: The test harness was overwritten";
+      }
+    } catch (error) {
+      result.error = describe(error);
+    }
+
+    result.durationMs = performance.now() - start;
+    results.push(result);
+  }
+
+  return { loaded: true, error: null, loadMs, results, logs: logs() };
+}
+
+try {
+  parentPort.postMessage(run());
+} catch (error) {
+  parentPort.postMessage({ loaded: false, error: error.message, loadMs: 0, results: [], logs: [] });
+}
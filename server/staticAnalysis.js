@@ -0,0 +1,188 @@
+import { Linter } from "eslint";
+import * as espree from "espree";
+
+/**
+ * ESLint rules every JavaScript solution is checked against; `/solve`'s
+ * `lintRules` and the LINT_RULES environment variable override them per rule.
+ * They stick to likely bugs plus a complexity and nesting budget, since
+ * style is the reviewers' call.
+ */
+export const DEFAULT_LINT_RULES = {
+  "no-undef": "error",
+  "no-unreachable": "error",
+  "no-dupe-keys": "error",
+  "no-redeclare": "error",
+  "no-loss-of-precision": "error",
+  "no-unsafe-negation": "error",
+  "use-isnan": "error",
+  "valid-typeof": "error",
+  // Top-level functions are what the tests call
+  "no-unused-vars": ["warn", { vars: "local" }],
+  "no-self-compare": "warn",
+  "no-constant-condition": "warn",
+  "no-fallthrough": "warn",
+  "no-empty": "warn",
+  eqeqeq: "warn",
+  "prefer-const": "warn",
+  complexity: ["warn", 10],
+  "max-depth": ["warn", 4],
+};
+
+const SEVERITIES = ["off", "warn", "error", 0, 1, 2];
+
+// What the sandbox gives a solution on top of the language's own globals
+const SANDBOX_GLOBALS = { module: "writable", exports: "writable", console: "readonly" };
+
+// Branch points that add one path through a function, as counted by ESLint's `complexity` rule
+const BRANCHES = new Set(["IfStatement", "ConditionalExpression", "ForStatement", "ForInStatement", "ForOfStatement", "WhileStatement", "DoWhileStatement", "CatchClause", "AssignmentPattern"]);
+const NESTING = new Set(["IfStatement", "ForStatement", "ForInStatement", "ForOfStatement", "WhileStatement", "DoWhileStatement", "SwitchStatement", "TryStatement"]);
+const FUNCTIONS = new Set(["FunctionDeclaration", "FunctionExpression", "ArrowFunctionExpression"]);
+
+const linter = new Linter({ configType: "flat" });
+
+const lintConfig = (rules, sourceType) => [{ languageOptions: { ecmaVersion: "latest", sourceType, globals: SANDBOX_GLOBALS }, rules }];
+
+/**
+ * Validates lint rule overrides, given as an object or its JSON text: each
+ * value is a severity or `[severity, ...options]` for a built-in ESLint rule.
+ * Throws on unknown rules and options ESLint rejects.
+ */
+export function parseLintRules(value) {
+  const rules = typeof value === "string" ? JSON.parse(value) : value;
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    throw new Error("must be a JSON object");
+  }
+  for (const [name, setting] of Object.entries(rules)) {
+    if (!SEVERITIES.includes(Array.isArray(setting) ? setting[0] : setting)) {
+      throw new Error(`${name} must be "off", "warn", "error" or an array starting with one`);
+    }
+  }
+  try {
+    linter.verify("", lintConfig(rules, "module"));
+  } catch (error) {
+    const unknown = error.message.match(/Could not find "(.+?)"/);
+    throw new Error(
+      unknown
+        ? `unknown rule "${unknown[1]}"`
+        : error.message
+            .replace(/^Key "rules": /, "")
+            .replace(/\s+/g, " ")
+            .trim()
+    );
+  }
+  return rules;
+}
+
+const functionName = (node, parent) => {
+  if (node.id) return node.id.name;
+  if (parent?.type === "VariableDeclarator" && parent.id.type === "Identifier") return parent.id.name;
+  if ((parent?.type === "Property" || parent?.type === "MethodDefinition" || parent?.type === "PropertyDefinition") && parent.key.type === "Identifier") return parent.key.name;
+  return "(anonymous)";
+};
+
+/**
+ * Cyclomatic complexity and nesting depth of every function, counted the
+ * way ESLint's `complexity` and `max-depth` rules count them.
+ */
+function measureFunctions(ast) {
+  const functions = [];
+
+  const visit = (node, parent, current, depth) => {
+    if (!node || typeof node.type !== "string") return;
+    if (FUNCTIONS.has(node.type)) {
+      current = { name: functionName(node, parent), line: node.loc.start.line, lines: node.loc.end.line - node.loc.start.line + 1, params: node.params.length, complexity: 1, depth: 0 };
+      functions.push(current);
+      depth = 0;
+    } else if (current) {
+      if (BRANCHES.has(node.type) || (node.type === "SwitchCase" && node.test) || (node.type === "LogicalExpression" && node.operator !== "??")) current.complexity++;
+      if (NESTING.has(node.type) && !(node.type === "IfStatement" && parent?.type === "IfStatement" && parent.alternate === node)) {
+        depth++;
+        current.depth = Math.max(current.depth, depth);
+      }
+    }
+    for (const [key, child] of Object.entries(node)) {
+      if (key === "loc" || key === "range") continue;
+      for (const entry of Array.isArray(child) ? child : [child]) {
+        if (entry && typeof entry === "object") visit(entry, node, current, depth);
+      }
+    }
+  };
+
+  visit(ast, null, null, 0);
+  return functions;
+}
+
+/**
+ * Parses a JavaScript solution, lints it and measures its functions. Code
+ * that fails to parse as a script or a module comes back with `syntaxError`
+ * (the module parser's) and nothing else; the sandbox runs solutions as
+ * scripts, but solvers often write `export`.
+ */
+export function analyzeSolution(code, { rules = DEFAULT_LINT_RULES } = {}) {
+  const startedAt = Date.now();
+  let ast = null;
+  let sourceType = null;
+  let syntaxError = null;
+  for (const type of ["script", "module"]) {
+    try {
+      ast = espree.parse(code, { ecmaVersion: "latest", sourceType: type, loc: true });
+      sourceType = type;
+      break;
+    } catch (error) {
+      syntaxError = { message: error.message, line: error.lineNumber ?? null, column: error.column ?? null };
+    }
+  }
+  if (!ast) {
+    return { syntaxError, lint: [], errors: 0, warnings: 0, complexity: null, durationMs: Date.now() - startedAt };
+  }
+
+  const lint = linter.verify(code, lintConfig(rules, sourceType)).map((message) => ({
+    rule: message.ruleId,
+    severity: message.severity === 2 ? "error" : "warning",
+    message: message.message,
+    line: message.line,
+    column: message.column,
+  }));
+  const functions = measureFunctions(ast);
+
+  return {
+    syntaxError: null,
+    lint,
+    errors: lint.filter((entry) => entry.severity === "error").length,
+    warnings: lint.filter((entry) => entry.severity === "warning").length,
+    complexity: {
+      lines: code.split("\n").filter((line) => line.trim()).length,
+      functions,
+      maxComplexity: Math.max(0, ...functions.map((entry) => entry.complexity)),
+      maxDepth: Math.max(0, ...functions.map((entry) => entry.depth)),
+    },
+    durationMs: Date.now() - startedAt,
+  };
+}
+
+/**
+ * The analysis as plain facts for the reviewer prompt, so reviewers don't
+ * have to spot parse errors or undefined names themselves.
+ */
+export function formatAnalysis(analysis) {
+  if (analysis.syntaxError) {
+    const { message, line } = analysis.syntaxError;
+    return `Static analysis (automated): the solution does not parse: ${message}${line ? ` (line ${line})` : ""}.`;
+  }
+
+  const { lines, functions, maxComplexity, maxDepth } = analysis.complexity;
+  const facts = [
+    `- Parses without syntax errors; ${lines} non-blank ${lines === 1 ? "line" : "lines"}, ${functions.length} ${functions.length === 1 ? "function" : "functions"}`,
+    ...(functions.length ? [`- Highest cyclomatic complexity ${maxComplexity} (${functions.find((entry) => entry.complexity === maxComplexity).name}), deepest nesting ${maxDepth}`] : []),
+    ...(analysis.lint.length ? analysis.lint.map((entry) => `- Line ${entry.line}: ${entry.message} (${entry.rule}, ${entry.severity})`) : ["- No lint findings"]),
+  ];
+  return `Static analysis (automated, treat as facts):\n${facts.join("\n")}`;
+}
+
+// Follow-up turn asking the solver to fix a solution that doesn't parse
+export function buildSyntaxRetryPrompt(analysis, language) {
+  const { message, line } = analysis.syntaxError;
+  return `Your solution does not parse: ${message}${line ? ` (line ${line})` : ""}.
+
+Fix the syntax error and respond with the complete corrected solution in a single \`\`\`${language.fence} code block.`;
+}
@@ -0,0 +1,97 @@
+/**
+ * Why a run ended. Policy reasons come from `checkStop`; the rest are set by
+ * the run loop itself.
+ */
+export const STOP_REASONS = {
+  tests_passed: "Every test passed",
+  target_score: "Reached the target score",
+  regression: "Score dropped below the previous round",
+  plateau: "Best score stopped improving",
+  token_budget: "Token budget used up",
+  time_budget: "Time budget used up",
+  max_rounds: "Reached the maximum number of rounds",
+  cancelled: "Cancelled",
+  error: "Stopped by an error",
+};
+
+export const DEFAULT_STOP_POLICY = {
+  targetScore: 9,
+  // Stop once the best score hasn't improved for this many rounds
+  plateauRounds: null,
+  stopOnRegression: false,
+  stopOnTestsPass: false,
+  timeBudgetMs: null,
+  tokenBudget: null,
+};
+
+const parseNumber = (name, value, { min, max = Infinity, integer = false }) => {
+  const number = Number(value);
+  if (value === "" || !Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    throw new Error(`${name} must be ${integer ? "an integer" : "a number"} ${max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`}`);
+  }
+  return number;
+};
+
+const parseFlag = (name, value) => {
+  if (["true", "1"].includes(value)) return true;
+  if (["false", "0"].includes(value)) return false;
+  throw new Error(`${name} must be true or false`);
+};
+
+/**
+ * Reads a stop policy from `/solve` query parameters, keeping `defaults` (a
+ * resumed run's policy, or the server's) for any that are missing. Throws on
+ * values that don't parse.
+ */
+export function parseStopPolicy({ targetScore, plateau, stopOnRegression, stopOnTestsPass, timeBudget, tokenBudget }, defaults = DEFAULT_STOP_POLICY) {
+  const policy = { ...DEFAULT_STOP_POLICY, ...defaults };
+  if (targetScore !== undefined) policy.targetScore = parseNumber("targetScore", targetScore, { min: 0, max: 10 });
+  if (plateau !== undefined) policy.plateauRounds = parseNumber("plateau", plateau, { min: 1, integer: true });
+  if (stopOnRegression !== undefined) policy.stopOnRegression = parseFlag("stopOnRegression", stopOnRegression);
+  if (stopOnTestsPass !== undefined) policy.stopOnTestsPass = parseFlag("stopOnTestsPass", stopOnTestsPass);
+  // The time budget is given in seconds
+  if (timeBudget !== undefined) policy.timeBudgetMs = parseNumber("timeBudget", timeBudget, { min: 1 }) * 1000;
+  if (tokenBudget !== undefined) policy.tokenBudget = parseNumber("tokenBudget", tokenBudget, { min: 1, integer: true });
+  return policy;
+}
+
+/**
+ * Decides whether the run should end after its latest round. `rounds` are the
+ * scored rounds so far; budgets are checked even when the latest round
+ * produced nothing. Resolves to `{ reason, message }` or null to keep going.
+ */
+export function checkStop(policy, { rounds, elapsedMs, tokens }) {
+  const stop = (reason, detail) => ({ reason, message: `${STOP_REASONS[reason]} (${detail})` });
+  const last = rounds.at(-1);
+
+  if (last) {
+    const { tests } = last;
+    if (policy.stopOnTestsPass && tests?.check === "tests" && tests.total && tests.passed === tests.total) {
+      return stop("tests_passed", `${tests.passed}/${tests.total} in round ${last.round}`);
+    }
+    if (last.score >= policy.targetScore) {
+      return stop("target_score", `${last.score} >= ${policy.targetScore} in round ${last.round}`);
+    }
+
+    const previous = rounds.at(-2);
+    if (policy.stopOnRegression && previous && last.score < previous.score) {
+      return stop("regression", `${previous.score} -> ${last.score} in round ${last.round}`);
+    }
+
+    const window = policy.plateauRounds;
+    if (window && rounds.length > window) {
+      const before = Math.max(...rounds.slice(0, -window).map((round) => round.score));
+      if (Math.max(...rounds.slice(-window).map((round) => round.score)) <= before) {
+        return stop("plateau", `no gain on ${before} for ${window} ${window === 1 ? "round" : "rounds"}`);
+      }
+    }
+  }
+
+  if (policy.tokenBudget && tokens >= policy.tokenBudget) {
+    return stop("token_budget", `${tokens}/${policy.tokenBudget} tokens`);
+  }
+  if (policy.timeBudgetMs && elapsedMs >= policy.timeBudgetMs) {
+    return stop("time_budget", `${Math.round(elapsedMs / 1000)}s of ${policy.timeBudgetMs / 1000}s`);
+  }
+  return null;
+}
@@ -0,0 +1,174 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Prompt parts each template role has, and the `{{variables}}` they may use.
+ * Solver templates have an `initial` prompt for round 1 and an `improve`
+ * prompt for later rounds, where `review` is the feedback picked by the
+ * run's feedback strategy. Reviewer templates should keep asking for the
+ * JSON `example`, or scores fall back to being read from free text.
+ */
+export const TEMPLATE_ROLES = {
+  solver: {
+    fields: { system: true, initial: true, improve: true },
+    variables: {
+      system: ["language", "instructions"],
+      initial: ["problem", "language", "instructions", "round"],
+      improve: ["problem", "language", "instructions", "round", "previousSolution", "review", "score", "bestScore"],
+    },
+  },
+  reviewer: {
+    fields: { system: false, user: true },
+    variables: {
+      system: ["language"],
+      user: ["problem", "solution", "round", "language", "rubric", "example"],
+    },
+  },
+};
+
+export const DEFAULT_TEMPLATES = { solver: "default-solver", reviewer: "default-reviewer" };
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Replaces `{{name}}` with `variables.name`; unknown names are left as written
+export const renderTemplate = (text, variables) => text.replace(VARIABLE_PATTERN, (match, name) => (Object.hasOwn(variables, name) ? String(variables[name]) : match));
+
+/**
+ * Checks a template body for its role: required parts present, every part a
+ * string, and only known variables used. Returns a list of problems.
+ */
+export function validateTemplate(role, body = {}) {
+  const spec = TEMPLATE_ROLES[role];
+  if (!spec) {
+    return [`role must be one of: ${Object.keys(TEMPLATE_ROLES).join(", ")}`];
+  }
+
+  const errors = [];
+  for (const [field, required] of Object.entries(spec.fields)) {
+    const text = body[field];
+    if (text === undefined || text === null || text === "") {
+      if (required) errors.push(`${field} is required`);
+      continue;
+    }
+    if (typeof text !== "string") {
+      errors.push(`${field} must be a string`);
+      continue;
+    }
+    const unknown = [...new Set([...text.matchAll(VARIABLE_PATTERN)].map((match) => match[1]))].filter((name) => !spec.variables[field].includes(name));
+    if (unknown.length) {
+      errors.push(`${field} uses unknown variables ${unknown.map((name) => `{{${name}}}`).join(", ")} (allowed: ${spec.variables[field].join(", ")})`);
+    }
+  }
+  if (body.description !== undefined && typeof body.description !== "string") {
+    errors.push("description must be a string");
+  }
+  return errors;
+}
+
+/**
+ * Prompt templates stored as one JSON file per version, in
+ * `<dir>/<name>/v<version>.json`. Built-in templates ship with the server and
+ * are read-only; saving a template (built-in or not) adds a new version under
+ * the data directory, so earlier versions stay available to reproduce runs.
+ */
+export class TemplateStore {
+  constructor(builtinDir, dataDir) {
+    this.builtinDir = builtinDir;
+    this.dataDir = path.join(dataDir, "templates");
+  }
+
+  static isValidName(name) {
+    return NAME_PATTERN.test(name);
+  }
+
+  async readVersions(dir, name, builtin) {
+    let files;
+    try {
+      files = await fs.readdir(path.join(dir, name));
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const versions = [];
+    for (const file of files) {
+      const match = file.match(/^v(\d+)\.json$/);
+      if (!match) continue;
+      const template = JSON.parse(await fs.readFile(path.join(dir, name, file), "utf8"));
+      versions.push({ ...template, name, version: Number(match[1]), builtin });
+    }
+    return versions;
+  }
+
+  // Every version of a template, oldest first
+  async versions(name) {
+    if (!TemplateStore.isValidName(name)) {
+      return [];
+    }
+    const versions = [...(await this.readVersions(this.builtinDir, name, true)), ...(await this.readVersions(this.dataDir, name, false))];
+    return versions.sort((a, b) => a.version - b.version);
+  }
+
+  async names() {
+    const entries = await Promise.all(
+      [this.builtinDir, this.dataDir].map((dir) =>
+        fs.readdir(dir, { withFileTypes: true }).catch((error) => {
+          if (error.code === "ENOENT") return [];
+          throw error;
+        })
+      )
+    );
+    return [
+      ...new Set(
+        entries
+          .flat()
+          .filter((entry) => entry.isDirectory() && TemplateStore.isValidName(entry.name))
+          .map((entry) => entry.name)
+      ),
+    ];
+  }
+
+  // Latest version of every template, with how many versions it has
+  async list() {
+    const templates = await Promise.all(
+      (await this.names()).map(async (name) => {
+        const versions = await this.versions(name);
+        const latest = versions.at(-1);
+        return latest && { ...latest, builtin: versions.some((version) => version.builtin), versions: versions.map((version) => version.version) };
+      })
+    );
+    return templates.filter(Boolean).sort((a, b) => a.role.localeCompare(b.role) || a.name.localeCompare(b.name));
+  }
+
+  // A specific version, or the latest one when `version` is omitted; null when missing
+  async get(name, version) {
+    const versions = await this.versions(name);
+    return (version === undefined ? versions.at(-1) : versions.find((entry) => entry.version === version)) || null;
+  }
+
+  /**
+   * Writes the next version of `name`. The caller validates the body; the
+   * role of an existing template can't change.
+   */
+  async save(name, { role, description = "", ...body }) {
+    const versions = await this.versions(name);
+    const version = (versions.at(-1)?.version || 0) + 1;
+    const fields = Object.fromEntries(Object.keys(TEMPLATE_ROLES[role].fields).map((field) => [field, body[field] || ""]));
+    const template = { role, description, ...fields, createdAt: Date.now() };
+
+    const dir = path.join(this.dataDir, name);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `v${version}.json`), `${JSON.stringify(template, null, 2)}\n`, { flag: "wx" });
+    return { ...template, name, version, builtin: false };
+  }
+
+  // Removes the saved versions of `name`; built-in versions stay. Resolves to the number removed
+  async delete(name) {
+    const saved = (await this.versions(name)).filter((version) => !version.builtin);
+    if (saved.length) {
+      await fs.rm(path.join(this.dataDir, name), { recursive: true, force: true });
+    }
+    return saved.length;
+  }
+}
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CodeFenceParser, extractCode } from "../codeExtractor.js";
+
+// Feeds a recorded token stream through the parser the way generateCandidate does
+const replay = (tokens, languages) => {
+  const code = [];
+  const prose = [];
+  const parser = new CodeFenceParser({ onCode: (text, block) => code.push({ text, block }), onProse: (text) => prose.push(text) });
+  for (const token of tokens) parser.push(token);
+  return { result: parser.end(languages), code, prose: prose.join("") };
+};
+
+test("fences split across tokens", () => {
+  const { result, code, prose } = replay(["Here you go:\n`", "``", "java", "script\nfunction sum(a, b) {\n", "  return a + b;\n}\n`", "`", "`\n", "Done."]);
+  assert.equal(result.code, "function sum(a, b) {\n  return a + b;\n}");
+  assert.equal(result.language, "javascript");
+  assert.equal(result.commentary, "Here you go:\nDone.");
+  // Fence characters never leak into the streamed chunks
+  assert.equal(code.map((chunk) => chunk.text).join(""), "function sum(a, b) {\n  return a + b;\n}\n");
+  assert.ok(!prose.includes("`"));
+});
+
+test("backticks inside code don't close the fence", () => {
+  const { result } = replay(["```js\n", "const s = `", "x`;\n", "``", "`\n"]);
+  assert.equal(result.code, "const s = `x`;");
+});
+
+test("multiple blocks: the longest in the requested language wins", () => {
+  const { result, code } = replay([
+    "Install it:\n```bash\nnpm install lodash\n```\n",
+    "Solution:\n```javascript\nconst chunk = (list, size) =>\n  list.length ? [list.slice(0, size), ...chunk(list.slice(size), size)] : [];\n```\n",
+    "Usage:\n```js\nchunk([1, 2, 3], 2);\n```\n",
+  ]);
+  assert.equal(result.language, "javascript");
+  assert.match(result.code, /^const chunk/);
+  assert.equal(result.blocks.length, 3);
+  assert.match(result.commentary, /```bash\nnpm install lodash\n```/);
+  assert.match(result.commentary, /```js\nchunk\(\[1, 2, 3\], 2\);\n```/);
+  assert.deepEqual([...new Set(code.map((chunk) => chunk.block))], [0, 1, 2]);
+});
+
+test("language tags are matched case-insensitively and other languages fall back to the longest block", () => {
+  assert.equal(replay(["```Python\nprint(1)\n```\n"], ["python", "py"]).result.language, "python");
+
+  const { result } = replay(["```python\nprint('a much longer block')\n```\n```ts\nlet x = 1;\n```\n"], ["go"]);
+  assert.equal(result.language, "python");
+});
+
+test("untagged and tilde fences", () => {
+  assert.equal(extractCode("```\nreturn 1;\n```").code, "return 1;");
+  assert.equal(extractCode("~~~js\nconst a = '```';\n~~~\n").code, "const a = '```';");
+});
+
+test("an unclosed fence at the end of the stream keeps its code", () => {
+  const { result } = replay(["```javascript\n", "function f() {\n", "  return 42;\n", "}"]);
+  assert.equal(result.code, "function f() {\n  return 42;\n}");
+  assert.equal(result.blocks[0].terminated, false);
+});
+
+test("prose-only output is taken as the code", () => {
+  const { result, code, prose } = replay(["function ", "double(x) {\n", "  return x * 2;\n", "}\n"]);
+  assert.equal(result.code, "function double(x) {\n  return x * 2;\n}");
+  assert.equal(result.commentary, "");
+  assert.deepEqual(result.blocks, []);
+  assert.equal(code.length, 0);
+  assert.equal(prose, "function double(x) {\n  return x * 2;\n}\n");
+});
+
+test("empty output", () => {
+  assert.deepEqual(replay([]).result, { code: "", language: "", commentary: "", blocks: [] });
+});
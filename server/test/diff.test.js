@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffSolutions } from "../diff.js";
+
+test("an edited line gets word-level segments", () => {
+  const diff = diffSolutions("function add(a, b) {\n  return a + b;\n}", "function add(a, b) {\n  return a - b;\n}");
+  assert.deepEqual([diff.added, diff.removed, diff.unchanged], [1, 1, 2]);
+  const removed = diff.lines.find((line) => line.type === "remove");
+  const added = diff.lines.find((line) => line.type === "add");
+  assert.deepEqual(
+    removed.segments.filter((segment) => segment.changed).map((segment) => segment.text),
+    ["+"]
+  );
+  assert.deepEqual(
+    added.segments.filter((segment) => segment.changed).map((segment) => segment.text),
+    ["-"]
+  );
+});
+
+test("unrelated lines aren't paired", () => {
+  const diff = diffSolutions("const total = items.length;", "throw new Error('unsupported');");
+  assert.ok(diff.lines.every((line) => !line.segments));
+});
+
+test("a large rewrite stays cheap", () => {
+  // Every removed line is similar to every added one, the worst case for pairing
+  const before = Array.from({ length: 1000 }, (_, index) => `  const value${index} = compute(items[${index}], options.limit + ${index});`).join("\n");
+  const after = Array.from({ length: 1000 }, (_, index) => `  let result${index} = compute(entries[${index}], settings.limit - ${index});`).join("\n");
+  const startedAt = Date.now();
+  const diff = diffSolutions(before, after);
+  assert.ok(Date.now() - startedAt < 1000, `took ${Date.now() - startedAt}ms`);
+  assert.deepEqual([diff.added, diff.removed, diff.unchanged], [1000, 1000, 0]);
+  // Pairing gives up part way through rather than comparing every line with every other
+  const paired = diff.lines.filter((line) => line.segments).length;
+  assert.ok(paired > 0 && paired < 2000);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runPythonTests } from "../processSandbox.js";
+
+const testCases = [
+  { name: "doubles", input: "double(2)", expected: 4 },
+  { name: "doubles floats", input: "double(1.5)", expected: 3 },
+  { name: "keeps lists", input: "double([1])", expected: [1, 1] },
+];
+
+test("python results are compared as JSON values", async () => {
+  const outcome = await runPythonTests("def double(x):\n    print('doubling', x)\n    return x * 2", testCases);
+  assert.equal(outcome.loaded, true);
+  assert.equal(outcome.passed, 3);
+  assert.deepEqual(
+    outcome.results.map((result) => result.actual),
+    ["4", "3.0", "[1,1]"]
+  );
+  assert.deepEqual(outcome.logs, ["doubling 2", "doubling 1.5", "doubling [1]"]);
+});
+
+test("a failing python test stays failed", async () => {
+  const outcome = await runPythonTests("def double(x):\n    return x + x if isinstance(x, list) else x * 3", testCases);
+  assert.deepEqual(
+    outcome.results.map((result) => result.passed),
+    [false, false, true]
+  );
+  const { results } = await runPythonTests("def double(x):\n    return float('nan')", testCases.slice(0, 1));
+  assert.equal(results[0].passed, false);
+});
+
+test("a python solution can't forge a passing outcome", async () => {
+  // Writes what the runner would print for a clean pass, then exits before the runner can
+  const forged = (results) => `
+import os, sys
+sys.__stdout__.write(${JSON.stringify(JSON.stringify({ loaded: true, error: null, loadMs: 0, logs: [], results }))})
+sys.__stdout__.flush()
+os._exit(0)
+`;
+  const claims = testCases.map((testCase) => ({ name: testCase.name, input: testCase.input, expected: "4", actual: "4", passed: true, error: null, durationMs: 0 }));
+  const outcome = await runPythonTests(forged(claims), testCases);
+  assert.equal(outcome.passed, 0);
+  assert.ok(outcome.results.every((result) => !result.passed));
+
+  // Nor from a test input, after the solution loaded
+  const outcomeFromTest = await runPythonTests(`def double(x):\n${forged(claims).replace(/^/gm, "    ")}`, testCases);
+  assert.equal(outcomeFromTest.passed, 0);
+});
@@ -0,0 +1,147 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+// Runs the real server on a free port with mock models and a throwaway data directory
+let server;
+let baseUrl;
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "qa-runs-"));
+  server = spawn(process.execPath, ["x.js"], {
+    cwd: new URL("..", import.meta.url).pathname,
+    env: { ...process.env, PORT: "0", DATA_DIR: dataDir, SOLVER_PROVIDER: "mock", REVIEWER_PROVIDER: "mock" },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  baseUrl = await new Promise((resolve, reject) => {
+    let output = "";
+    server.stdout.on("data", (chunk) => {
+      output += chunk;
+      const port = output.match(/Server running on port (\d+)/)?.[1];
+      if (port) resolve(`http://localhost:${port}`);
+    });
+    server.on("exit", (code) => reject(new Error(`Server exited with code ${code}`)));
+  });
+  server.stdout.resume();
+});
+
+after(async () => {
+  server.kill();
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+// Reads a run's event stream to the end, handing each event to `onEvent` as it arrives
+const readEvents = async (response, onEvent = () => {}) => {
+  const events = [];
+  const decoder = new TextDecoder();
+  let buffered = "";
+  for await (const chunk of response.body) {
+    const blocks = (buffered + decoder.decode(chunk, { stream: true })).split("\n\n");
+    buffered = blocks.pop();
+    for (const block of blocks) {
+      const type = block.match(/^event: (.+)$/m)?.[1];
+      const data = block.match(/^data: (.+)$/m)?.[1];
+      if (!type) continue;
+      const event = { type, data: JSON.parse(data) };
+      events.push(event);
+      await onEvent(event);
+    }
+  }
+  return events;
+};
+
+const solve = async (params, onEvent) => readEvents(await fetch(`${baseUrl}/solve?${new URLSearchParams(params)}`), onEvent);
+
+// Accepts the model review whenever an interactive run pauses
+const acceptReviews = async ({ type, data }) => {
+  if (type !== "awaiting_feedback") return;
+  const response = await fetch(`${baseUrl}/runs/${data.runId}/feedback`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ round: data.round }),
+  });
+  assert.equal(response.status, 202);
+};
+
+test("only one of two concurrent continues of a run plays", async () => {
+  const first = await solve({ problem: "Reverse a string", rounds: 2 });
+  const { runId } = first.find((event) => event.type === "done").data;
+
+  const responses = await Promise.all([1, 2].map(() => fetch(`${baseUrl}/runs/${runId}/continue?rounds=1`, { method: "POST" })));
+  assert.deepEqual(responses.map((response) => response.status).sort(), [200, 409]);
+  const conflict = responses.find((response) => response.status === 409);
+  assert.equal((await conflict.json()).error, "Run is still in progress");
+  const played = await readEvents(responses.find((response) => response.status === 200));
+  assert.ok(played.some((event) => event.type === "done"));
+
+  // The reservation is released once the continuation ends
+  const again = await fetch(`${baseUrl}/runs/${runId}/continue?rounds=1`, { method: "POST" });
+  assert.equal(again.status, 200);
+  await readEvents(again);
+  const run = await (await fetch(`${baseUrl}/runs/${runId}`)).json();
+  assert.equal(run.continuations.length, 2);
+});
+
+test("a continued run's done event reports the saved totals", async () => {
+  const first = await solve({ problem: "Sum an array", rounds: 2 });
+  const { runId, durationMs: firstMs, tokens: firstTokens } = first.find((event) => event.type === "done").data;
+
+  const played = await readEvents(await fetch(`${baseUrl}/runs/${runId}/continue?rounds=1`, { method: "POST" }));
+  const done = played.find((event) => event.type === "done").data;
+  const run = await (await fetch(`${baseUrl}/runs/${runId}`)).json();
+  assert.equal(done.durationMs, run.durationMs);
+  assert.equal(done.durationMs, firstMs + run.continuations[0].durationMs);
+  assert.equal(done.tokens, run.tokens);
+  assert.ok(done.tokens > firstTokens);
+  assert.equal(done.rounds, 3);
+});
+
+test("ranking calls count against the token budget", async () => {
+  const params = { problem: "Clamp a number", rounds: 2, candidates: 2, ranking: "scored" };
+  const reference = await solve(params);
+  const metrics = reference.find((event) => event.type === "round_metrics" && event.data.round === 1).data;
+  const panelTokens = reference
+    .filter((event) => event.type === "review_complete" && event.data.round === 1 && event.data.metrics)
+    .reduce((sum, { data }) => sum + data.metrics.promptTokens + data.metrics.completionTokens, 0);
+  const streamedTokens = metrics.solver.promptTokens + metrics.solver.completionTokens + panelTokens;
+  assert.ok(metrics.reviewer.calls > 1, "the ranking reviews are in the round's reviewer metrics");
+
+  // Enough for the streamed calls of round 1, but not for its ranking reviews on top
+  const events = await solve({ ...params, tokenBudget: streamedTokens + 1 });
+  const done = events.find((event) => event.type === "done").data;
+  assert.equal(done.rounds, 1);
+  assert.equal(done.endReason.reason, "token_budget");
+  assert.ok(done.tokens > streamedTokens + 1);
+});
+
+test("scored ranking's review of the winner stands in for the judge's panel review", async () => {
+  const events = await solve({ problem: "Parse a date", rounds: 2, candidates: 2, ranking: "scored" });
+  const reviews = events.filter((event) => event.type === "review_complete" && event.data.round === 1);
+  assert.equal(reviews.length, 1);
+  assert.equal(reviews[0].data.fromRanking, true);
+  assert.ok(!events.some((event) => event.type === "review_chunk" && event.data.round === 1));
+  // Two ranking reviews and no third one for the panel
+  const metrics = events.find((event) => event.type === "round_metrics" && event.data.round === 1).data;
+  assert.equal(metrics.reviewer.calls, 2);
+  const ranked = events.find((event) => event.type === "candidates_ranked" && event.data.round === 1).data;
+  const panel = events.find((event) => event.type === "panel_result" && event.data.round === 1).data;
+  assert.equal(panel.score, ranked.ranking.find((entry) => entry.candidate === ranked.winner).reviewScore);
+});
+
+test("an interactive run doesn't pause after the round it ends with", { timeout: 30000 }, async () => {
+  const played = await solve({ problem: "Merge two lists", rounds: 2, targetScore: 10, interactive: true }, acceptReviews);
+  assert.deepEqual(
+    played.filter((event) => event.type === "awaiting_feedback").map((event) => event.data.round),
+    [1]
+  );
+  assert.equal(played.find((event) => event.type === "done").data.rounds, 2);
+
+  // Nor after one a budget stops it after
+  const stopped = await solve({ problem: "Merge two lists", rounds: 3, targetScore: 10, tokenBudget: 1, interactive: true }, acceptReviews);
+  assert.ok(!stopped.some((event) => event.type === "awaiting_feedback"));
+  assert.equal(stopped.find((event) => event.type === "done").data.endReason.reason, "token_budget");
+});
@@ -1,7 +1,26 @@
 import express from "express";
 import cors from "cors";
-import { createParser } from "eventsource-parser";
-import fetch from "node-fetch";
+import { runInSandbox, normalizeTestCases } from "./sandbox.js";
+import { RunStore } from "./runStore.js";
+import { EventStream, EVENTS } from "./eventStream.js";
+import { FEEDBACK_STRATEGIES, buildSolverMessages } from "./feedback.js";
+import { createProvider } from "./providers/index.js";
+import { ResilientProvider } from "./providers/resilient.js";
+import { ReasoningFilter, stripReasoning } from "./reasoning.js";
+import { CodeFenceParser } from "./codeExtractor.js";
+import { DEFAULT_LANGUAGE, getLanguage } from "./languages.js";
+import { checkSyntax, runPythonTests } from "./processSandbox.js";
+import { JobQueue } from "./jobQueue.js";
+import { AGGREGATIONS, combineReviews, normalizePanel, personaPrompt } from "./panel.js";
+import { COMPARISON_SCHEMA, RANKING_METHODS, buildComparisonPrompt, candidateOptions, parseComparison, runTournament } from "./candidates.js";
+import { RUN_PHASES, checkHost, summarizeHealth, unusableHosts } from "./health.js";
+import { diffSolutions } from "./diff.js";
+import { MetricsRegistry, callMetrics, callTokens, candidateCalls, roundReviewerCalls, sumMetrics, summarizeRun } from "./metrics.js";
+import { parseGenerationOptions, withDeterministicSeed } from "./generationOptions.js";
+import { STOP_REASONS, checkStop, parseStopPolicy } from "./stopping.js";
+import { DEFAULT_LINT_RULES, analyzeSolution, buildSyntaxRetryPrompt, formatAnalysis, parseLintRules } from "./staticAnalysis.js";
+import { DEFAULT_TEMPLATES, TEMPLATE_ROLES, TemplateStore, renderTemplate, validateTemplate } from "./templates.js";
+import { REVIEW_SCHEMA, buildReviewPrompt, buildReviewRetryPrompt, formatReview, parseLooseReview, parseReview } from "./review.js";
 
 // Configuration constants
 const CONFIG = {
@@ -9,279 +28,1324 @@ const CONFIG = {
   DEFAULT_ROUNDS: 5,
   MIN_ROUNDS: 2,
   MAX_ROUNDS: 6,
+  DEFAULT_FEEDBACK_STRATEGY: "last-review",
   PORTS: {
-    DEFAULT: 5100,
+    DEFAULT: parseInt(process.env.PORT) || 5100,
     SOLVER: 11434,
     REVIEWER: 11435,
   },
   CORS_ORIGINS: ["http://localhost:5173"],
+  DATA_DIR: process.env.DATA_DIR || new URL("./data", import.meta.url).pathname,
+  // Built-in prompt templates; saved versions go under DATA_DIR/templates
+  PROMPTS_DIR: new URL("./prompts", import.meta.url).pathname,
+  SANDBOX: {
+    TIMEOUT_MS: 2000,
+    MEMORY_MB: 64,
+    // Share of the selection score taken by the test pass rate (the rest is the review score)
+    TEST_WEIGHT: 0.5,
+    GENERATED_TESTS: 5,
+    // Python solutions run in a child process, which needs more headroom than a worker heap
+    PYTHON: process.env.PYTHON_BIN || "python3",
+    PYTHON_MEMORY_MB: 256,
+    // Unprivileged account Python solutions run as (e.g. 65534 for nobody); without it they run as the server's user
+    PYTHON_UID: parseInt(process.env.PYTHON_UID) || undefined,
+    PYTHON_GID: parseInt(process.env.PYTHON_GID) || undefined,
+  },
+  // Extra attempts when the reviewer's JSON fails validation, before falling back to the loose parser
+  REVIEW_RETRIES: 1,
+  // Extra solver attempts when a solution doesn't parse, before the round is scored zero without review
+  SYNTAX_RETRIES: 1,
+  PANEL: {
+    DEFAULT_AGGREGATION: "mean",
+    // Max-min spread of reviewer scores at which the panel is reported as disagreeing
+    DISAGREEMENT_THRESHOLD: 3,
+  },
+  CANDIDATES: {
+    // Solutions generated per round; the reviewer's pick carries forward
+    MAX: 4,
+    DEFAULT_RANKING: "scored",
+    // Sampling temperatures are spread across this range
+    TEMPERATURE_RANGE: [0.2, 1],
+  },
+  // Used to estimate tokens for servers that don't report usage
+  CHARS_PER_TOKEN: 4,
+  // How long `/health` and the pre-run check wait for each model host
+  HEALTH_TIMEOUT_MS: 5000,
+  WARMUP: {
+    // Load the run's models before the first round unless `/solve` says otherwise
+    ENABLED: process.env.WARMUP === "true",
+    // How long Ollama keeps a warmed-up model in memory
+    KEEP_ALIVE: process.env.KEEP_ALIVE || "10m",
+  },
+  // Runs allowed to use a model host at the same time; further runs wait in a FIFO queue
+  DEFAULT_HOST_CONCURRENCY: 1,
+  // Per streamed model call: until the server answers (including model loading), then to the first chunk, then between chunks
+  CALL_TIMEOUTS: {
+    CONNECT_MS: parseInt(process.env.CONNECT_TIMEOUT_MS) || 120000,
+    FIRST_TOKEN_MS: parseInt(process.env.FIRST_TOKEN_TIMEOUT_MS) || 60000,
+    IDLE_MS: parseInt(process.env.IDLE_TIMEOUT_MS) || 30000,
+  },
+  // Extra attempts per host for a model call that fails before its first chunk, with exponential backoff
+  CALL_RETRIES: {
+    RETRIES: 2,
+    BASE_DELAY_MS: 1000,
+    MAX_DELAY_MS: 10000,
+  },
+  // How long an interactive run waits for the engineer after a round before the model review stands
+  HUMAN_FEEDBACK_TIMEOUT_MS: parseInt(process.env.HUMAN_FEEDBACK_TIMEOUT_MS) || 30 * 60 * 1000,
+  ROUND_RECOVERY: {
+    // Extra attempts at a round that failed, before it's skipped
+    RETRIES: 1,
+    // Skipped rounds in a row that end the run
+    MAX_CONSECUTIVE_SKIPS: 2,
+  },
+};
+
+// Provider per role: ollama-chat, ollama-generate, openai (any /v1/chat/completions server) or mock
+CONFIG.PROVIDERS = {
+  SOLVER: {
+    type: process.env.SOLVER_PROVIDER || "ollama-chat",
+    url: process.env.SOLVER_URL || `http://localhost:${CONFIG.PORTS.SOLVER}`,
+    model: process.env.SOLVER_MODEL || CONFIG.MODEL,
+    apiKey: process.env.SOLVER_API_KEY || null,
+    concurrency: parseInt(process.env.SOLVER_CONCURRENCY) || CONFIG.DEFAULT_HOST_CONCURRENCY,
+    label: "Solver",
+  },
+  REVIEWER: {
+    type: process.env.REVIEWER_PROVIDER || "ollama-chat",
+    url: process.env.REVIEWER_URL || `http://localhost:${CONFIG.PORTS.REVIEWER}`,
+    model: process.env.REVIEWER_MODEL || CONFIG.MODEL,
+    apiKey: process.env.REVIEWER_API_KEY || null,
+    concurrency: parseInt(process.env.REVIEWER_CONCURRENCY) || CONFIG.DEFAULT_HOST_CONCURRENCY,
+    label: "Reviewer",
+  },
+};
+
+// Extra named reviewer hosts for panels, as JSON: [{ "name": "gpu", "type": "ollama-chat", "url": "http://gpu:11434", "model": "qwen2.5-coder:7b" }]
+CONFIG.REVIEWER_HOSTS = JSON.parse(process.env.REVIEWER_HOSTS || "[]");
+// Hosts each role fails over to, in order, as JSON: [{ "type": "ollama-chat", "url": "http://backup:11434", "model": "..." }]; without a model they serve the requested one
+CONFIG.FALLBACKS = {
+  solver: JSON.parse(process.env.SOLVER_FALLBACKS || "[]"),
+  reviewer: JSON.parse(process.env.REVIEWER_FALLBACKS || "[]"),
 };
+// Reviewers used when /solve doesn't pass `panel`, as JSON: [{ "host": "reviewer", "model": "...", "persona": "security auditor" }]
+CONFIG.DEFAULT_PANEL = JSON.parse(process.env.REVIEW_PANEL || '[{ "host": "reviewer" }]');
+// ESLint rules for JavaScript solutions, as JSON overriding the defaults per rule: { "no-var": "error", "complexity": ["warn", 6] }
+CONFIG.LINT_RULES = { ...DEFAULT_LINT_RULES, ...parseLintRules(process.env.LINT_RULES || "{}") };
 
 class OllamaQASystem {
-  constructor(solverPort = CONFIG.PORTS.SOLVER, reviewerPort = CONFIG.PORTS.REVIEWER) {
-    this.solverHost = `http://localhost:${solverPort}`;
-    this.reviewerHost = `http://localhost:${reviewerPort}`;
+  constructor(runStore, templateStore, solver = createProvider(CONFIG.PROVIDERS.SOLVER), reviewer = createProvider(CONFIG.PROVIDERS.REVIEWER)) {
+    this.runStore = runStore;
+    this.templateStore = templateStore;
+    // Fallback hosts by name ("solver-fallback-1", ...); they're only used when a role's own host fails, so they take no queue slots
+    this.fallbackHosts = new Map(
+      Object.entries(CONFIG.FALLBACKS).flatMap(([role, hosts]) =>
+        hosts.map((host, index) => [`${role}-fallback-${index + 1}`, { role, provider: createProvider({ label: `${role === "solver" ? "Solver" : "Reviewer"} fallback ${index + 1}`, ...host }) }])
+      )
+    );
+    this.solver = this.withRecovery("solver", solver);
+    this.reviewer = this.withRecovery("reviewer", reviewer);
+    // Reviewer hosts a panel can draw from, by name; "reviewer" is the primary one
+    this.reviewerHosts = new Map([
+      ["reviewer", this.reviewer],
+      ...CONFIG.REVIEWER_HOSTS.map((host) => [host.name, this.withRecovery("reviewer", createProvider({ label: `Reviewer ${host.name}`, ...host }))]),
+    ]);
+    // Hosts are keyed by URL, so roles sharing one server also share its slots
+    this.queue = new JobQueue({ defaultConcurrency: CONFIG.DEFAULT_HOST_CONCURRENCY });
+    this.queue.setConcurrency(reviewer.url, CONFIG.PROVIDERS.REVIEWER.concurrency);
+    for (const host of CONFIG.REVIEWER_HOSTS) {
+      this.queue.setConcurrency(this.reviewerHosts.get(host.name).url, host.concurrency || CONFIG.DEFAULT_HOST_CONCURRENCY);
+    }
+    this.queue.setConcurrency(solver.url, CONFIG.PROVIDERS.SOLVER.concurrency);
+    // Run ID -> { controller, run, phase } for every run still streaming
+    this.activeRuns = new Map();
+    this.metrics = this.createMetrics();
+    // "url|model" for every pull in progress
+    this.pulls = new Set();
+    // Models that get their own metric label: the configured ones and those a health check found installed.
+    // Anything else a request names is counted as "other", so the label set stays bounded
+    this.knownModels = new Set(
+      [this.solver, ...this.reviewerHosts.values(), ...[...this.fallbackHosts.values()].map((host) => host.provider)]
+        .map((provider) => provider.defaultModel)
+        .concat(this.resolvePanel().map((member) => member.model))
+        .filter(Boolean)
+    );
   }
 
-  async generateSolutionStream(prompt, previousSolution = "", reviewFeedback = "") {
-    try {
-      const contextPrompt =
-        previousSolution && reviewFeedback
-          ? `Previous solution:\n\`\`\`javascript\n${previousSolution}\n\`\`\`\n\n${reviewFeedback}\n\nImprove the solution based on the feedback. Return ONLY the JavaScript code without any explanation or markdown formatting.`
-          : `Create a JavaScript solution for: ${prompt}\n\nReturn ONLY the code without any explanation or markdown formatting. Focus on creating clean, efficient code that demonstrates JavaScript functions.`;
-
-      const response = await fetch(`${this.solverHost}/api/chat`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model: CONFIG.MODEL,
-          messages: [
-            {
-              role: "system",
-              content: "You are a JavaScript expert. Provide only clean, working code without explanations or markdown.",
-            },
-            {
-              role: "user",
-              content: contextPrompt,
-            },
-          ],
-          stream: true,
-        }),
-      });
+  // Server-wide counters for `GET /metrics`; per-run numbers live on the saved runs
+  createMetrics() {
+    const metrics = new MetricsRegistry();
+    metrics.counter("qa_model_requests_total", 'Model calls by role and model ("other" for models neither configured nor installed)');
+    metrics.counter("qa_model_request_errors_total", "Model calls that failed");
+    metrics.counter("qa_model_tokens_total", "Tokens processed, by type (prompt or completion); estimated for servers that report none");
+    metrics.counter("qa_model_eval_seconds_total", "Time the model server spent generating, as it reported");
+    metrics.counter("qa_model_load_seconds_total", "Time the model server spent loading models");
+    metrics.histogram("qa_model_request_duration_seconds", "Wall time of model calls");
+    metrics.histogram("qa_model_first_token_seconds", "Time from request to the first streamed token");
+    metrics.counter("qa_runs_total", "Finished runs by status");
+    metrics.counter("qa_rounds_total", "Completed rounds");
+    metrics.counter("qa_syntax_retries_total", "Solver attempts repeated because the solution didn't parse");
+    metrics.counter("qa_model_retries_total", "Model calls repeated after a failure, by role and whether they moved to a fallback host");
+    metrics.counter("qa_rounds_failed_total", "Rounds that failed, by outcome (retried or skipped)");
+    metrics.histogram("qa_round_duration_seconds", "Wall time of completed rounds");
+    metrics.gauge("qa_runs_active", "Runs streaming or waiting in the queue", () => [{ value: this.activeRuns.size }]);
+    metrics.gauge("qa_queue_waiting", "Runs waiting for a free model host", () => [{ value: this.queue.waiting.length }]);
+    return metrics;
+  }
 
-      if (!response.ok) {
-        throw new Error(`Solver API error: ${response.statusText}`);
-      }
+  // Puts the call timeouts, retries and the role's fallback hosts in front of a provider
+  withRecovery(role, provider) {
+    return new ResilientProvider(provider, {
+      fallbacks: [...this.fallbackHosts.values()].filter((host) => host.role === role).map((host) => host.provider),
+      connectMs: CONFIG.CALL_TIMEOUTS.CONNECT_MS,
+      firstTokenMs: CONFIG.CALL_TIMEOUTS.FIRST_TOKEN_MS,
+      idleMs: CONFIG.CALL_TIMEOUTS.IDLE_MS,
+      retries: CONFIG.CALL_RETRIES.RETRIES,
+      baseDelayMs: CONFIG.CALL_RETRIES.BASE_DELAY_MS,
+      maxDelayMs: CONFIG.CALL_RETRIES.MAX_DELAY_MS,
+      onRetry: ({ host, attempt, delayMs, message, next }) => {
+        console.warn(`${host} call failed (attempt ${attempt}): ${message}; ${next === host ? `retrying in ${delayMs}ms` : `trying ${next}`}`);
+        this.metrics.inc("qa_model_retries_total", { role, fallback: String(next !== host) });
+      },
+    });
+  }
+
+  recordCall(role, model, call) {
+    const labels = { role, model: this.knownModels.has(model) ? model : "other" };
+    if (!call) {
+      this.metrics.inc("qa_model_request_errors_total", labels);
+      return;
+    }
+    this.metrics.inc("qa_model_requests_total", labels);
+    this.metrics.inc("qa_model_tokens_total", { ...labels, type: "prompt" }, call.promptTokens);
+    this.metrics.inc("qa_model_tokens_total", { ...labels, type: "completion" }, call.completionTokens);
+    this.metrics.inc("qa_model_eval_seconds_total", labels, (call.evalMs || 0) / 1000);
+    this.metrics.inc("qa_model_load_seconds_total", labels, (call.loadMs || 0) / 1000);
+    this.metrics.observe("qa_model_request_duration_seconds", labels, call.wallMs / 1000);
+    if (call.firstTokenMs !== null) {
+      this.metrics.observe("qa_model_first_token_seconds", labels, call.firstTokenMs / 1000);
+    }
+  }
 
-      return response;
+  cancelRun(id, reason = "Cancelled by user") {
+    const active = this.activeRuns.get(id);
+    if (!active) {
+      return false;
+    }
+    active.controller.abort(new Error(reason));
+    return true;
+  }
+
+  /**
+   * Pauses an interactive run after a round's review until the engineer
+   * answers through submitFeedback, or HUMAN_FEEDBACK_TIMEOUT_MS passes and
+   * the model review stands. Resolves to `{ feedback, score, timedOut }`,
+   * where `feedback` and `score` are null when the engineer left them out.
+   */
+  awaitFeedback(id, round, { score, reviewScore, stream, signal }) {
+    const active = this.activeRuns.get(id);
+    const timeoutMs = CONFIG.HUMAN_FEEDBACK_TIMEOUT_MS;
+    stream.send(EVENTS.AWAITING_FEEDBACK, { round, score, reviewScore, timeoutMs });
+
+    return new Promise((resolve, reject) => {
+      const settle = () => {
+        clearTimeout(timer);
+        signal.removeEventListener("abort", onAbort);
+        active.pendingFeedback = null;
+      };
+      const onAbort = () => {
+        settle();
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        settle();
+        resolve({ feedback: null, score: null, timedOut: true });
+      }, timeoutMs);
+      signal.addEventListener("abort", onAbort, { once: true });
+      active.pendingFeedback = {
+        round,
+        resolve: ({ feedback = null, score = null }) => {
+          settle();
+          resolve({ feedback, score, timedOut: false });
+        },
+      };
+    });
+  }
+
+  /**
+   * Answers a paused interactive run. Returns false when the run isn't
+   * active, and throws when it isn't waiting for feedback on `round`.
+   */
+  submitFeedback(id, { round, feedback, score }) {
+    const active = this.activeRuns.get(id);
+    if (!active) {
+      return false;
+    }
+    const pending = active.pendingFeedback;
+    if (!pending || (round !== undefined && round !== pending.round)) {
+      throw new Error(pending ? `Run is waiting for feedback on round ${pending.round}` : "Run isn't waiting for feedback");
+    }
+    pending.resolve({ feedback, score });
+    return true;
+  }
+
+  // Records what an active run is doing; `round` is null outside the rounds
+  setPhase(id, phase, round = null) {
+    const active = this.activeRuns.get(id);
+    if (active) {
+      active.phase = { name: phase, description: RUN_PHASES[phase], round, since: Date.now() };
+    }
+  }
+
+  // Live status of an active run, or null once it has finished
+  runStatus(id) {
+    const active = this.activeRuns.get(id);
+    if (!active) {
+      return null;
+    }
+    const { run, phase } = active;
+    return {
+      id,
+      problem: run.problem,
+      status: run.status,
+      phase,
+      roundsCompleted: run.rounds.length,
+      maxRounds: run.maxRounds,
+      bestScore: run.bestScore,
+      tokens: run.tokens,
+      startedAt: run.startedAt,
+    };
+  }
+
+  async generateSolutionStream(
+    problem,
+    {
+      model = this.solver.defaultModel,
+      history = [],
+      strategy = CONFIG.DEFAULT_FEEDBACK_STRATEGY,
+      bestScore = 0,
+      round,
+      language = getLanguage(),
+      template,
+      generationOptions,
+      followUp = [],
+      onRetry,
+      signal,
+    } = {}
+  ) {
+    try {
+      // `followUp` continues the conversation, e.g. to ask for a fix of a solution that didn't parse
+      const messages = [...buildSolverMessages({ problem, history, strategy, bestScore, round, language, template }), ...followUp];
+
+      return await this.solver.stream({ model, messages, options: generationOptions, onRetry, signal });
     } catch (error) {
       throw new Error(`Solution generation failed: ${error.message}`);
     }
   }
 
-  async reviewSolutionStream(problem, solution, round) {
-    try {
-      const prompt = `Review the following solution for Round ${round}:
-          
-**Problem:**
-${problem}
-
-**Solution:**
-\`\`\`
-${solution}
-\`\`\`
-
-Provide a detailed review with:
-1. What works well
-2. What could be improved
-3. Score out of 10
-
-Format as:
-### Score: [X/10]
-
-### Review:
-[Your detailed review]`;
-
-      const response = await fetch(`${this.reviewerHost}/api/chat`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model: CONFIG.MODEL,
-          messages: [
-            {
-              role: "user",
-              content: prompt,
-            },
-          ],
-          stream: true,
-        }),
+  /**
+   * Generates one of the round's candidate solutions with its own sampling
+   * settings on top of the run's solver options, streaming it under its
+   * `candidate` index. Languages with an analyzer get each solution parsed
+   * and linted; one that doesn't parse goes straight back to the solver with
+   * the error (up to SYNTAX_RETRIES times) instead of on to review.
+   * `syntaxRetries` keeps the attempts that were thrown away.
+   */
+  async generateCandidate(problem, round, candidate, { count, generationOptions = {}, lintRules, stream, signal, ...request }) {
+    const startedAt = Date.now();
+    const [min, max] = CONFIG.CANDIDATES.TEMPERATURE_RANGE;
+    const options = candidateOptions(candidate, count, round, { min, max, seed: generationOptions.seed });
+    const merged = { ...generationOptions, ...options };
+    const syntaxRetries = [];
+    let followUp = [];
+
+    for (let attempt = 1; ; attempt++) {
+      const attemptStartedAt = Date.now();
+      const response = await this.generateSolutionStream(problem, {
+        ...request,
+        round,
+        generationOptions: Object.keys(merged).length ? merged : undefined,
+        followUp,
+        onRetry: (retry) => stream.send(EVENTS.CALL_RETRY, { round, candidate, role: "solver", ...retry }),
+        signal,
       });
 
-      if (!response.ok) {
-        throw new Error(`Reviewer API error: ${response.statusText}`);
+      const extractor = new CodeFenceParser({
+        onCode: (content, block) => stream.send(EVENTS.SOLUTION_CHUNK, { round, candidate, block, content }),
+        onProse: (content) => stream.send(EVENTS.COMMENTARY_CHUNK, { round, candidate, content }),
+      });
+      const result = await this.processStream(
+        response,
+        (content) => extractor.push(content),
+        (content) => stream.send(EVENTS.THINKING_CHUNK, { round, phase: "solution", candidate, content }),
+        attemptStartedAt,
+        signal
+      );
+      const extracted = extractor.end(request.language.aliases);
+      const solution = extracted.code;
+      const durationMs = Date.now() - attemptStartedAt;
+      stream.send(EVENTS.SOLUTION_COMPLETE, { round, candidate, solution, language: extracted.language, commentary: extracted.commentary, ...options, metrics: result.metrics, durationMs });
+
+      const analysis = solution && request.language.analyzer === "javascript" ? analyzeSolution(solution, { rules: lintRules }) : null;
+      const retrying = Boolean(analysis?.syntaxError) && attempt <= CONFIG.SYNTAX_RETRIES;
+      if (analysis) {
+        stream.send(EVENTS.STATIC_ANALYSIS, { round, candidate, attempt, retrying, ...analysis });
+      }
+
+      if (!retrying) {
+        return {
+          candidate,
+          solution,
+          language: extracted.language,
+          commentary: extracted.commentary,
+          thinking: result.thinking,
+          ...options,
+          analysis,
+          syntaxRetries,
+          tokens: result.tokens + syntaxRetries.reduce((sum, retry) => sum + retry.tokens, 0),
+          metrics: result.metrics,
+          durationMs: Date.now() - startedAt,
+          error: null,
+        };
+      }
+
+      this.metrics.inc("qa_syntax_retries_total");
+      syntaxRetries.push({ solution, syntaxError: analysis.syntaxError, tokens: result.tokens, metrics: result.metrics, durationMs });
+      followUp = [...followUp, { role: "assistant", content: result.text }, { role: "user", content: buildSyntaxRetryPrompt(analysis, request.language) }];
+    }
+  }
+
+  /**
+   * Ranks a round's candidates with the panel's first reviewer. "scored" gives
+   * each candidate a rubric review plus its test results and sorts by the
+   * blended score; "pairwise" runs a knockout bracket of head-to-head
+   * comparisons. Resolves to the winning candidate index, the ranking and,
+   * for pairwise, every match; scored ranking also resolves to each
+   * candidate's tests and review, so the winner's needn't be redone.
+   */
+  async rankCandidates(problem, round, candidates, { method, judge, testCases, language, template, generationOptions, calls = [], signal }) {
+    const provider = this.reviewerHosts.get(judge.host);
+    const request = { provider, model: judge.model, persona: judge.persona, language, template, generationOptions, calls, signal };
+
+    if (method === "pairwise") {
+      const byIndex = new Map(candidates.map((candidate) => [candidate.candidate, candidate]));
+      const system = personaPrompt(judge.persona);
+      const { winner, ranking, matches } = await runTournament(
+        candidates.map((candidate) => candidate.candidate),
+        async (a, b) => {
+          try {
+            const { text, metrics } = await this.complete("reviewer", provider, {
+              model: judge.model,
+              messages: [
+                ...(system ? [{ role: "system", content: system }] : []),
+                { role: "user", content: buildComparisonPrompt(problem, byIndex.get(a).solution, byIndex.get(b).solution, language) },
+              ],
+              format: COMPARISON_SCHEMA,
+              options: generationOptions,
+              signal,
+            });
+            calls.push(metrics);
+            const verdict = parseComparison(stripReasoning(text));
+            if (verdict) {
+              return { winner: verdict.winner === "A" ? a : b, reason: verdict.reason };
+            }
+            return { winner: a, reason: "No usable verdict; kept the earlier candidate." };
+          } catch (error) {
+            if (signal.aborted) throw error;
+            console.error(`Comparing candidates ${a} and ${b} failed:`, error);
+            return { winner: a, reason: `Comparison failed (${error.message}); kept the earlier candidate.` };
+          }
+        }
+      );
+      return { method, winner, ranking, matches };
+    }
+
+    const scored = await Promise.all(
+      candidates.map(async ({ candidate, solution, analysis }) => {
+        let rubric = null;
+        let review = null;
+        let error = null;
+        const startedAt = Date.now();
+        try {
+          const result = await this.complete("reviewer", provider, {
+            model: judge.model,
+            messages: this.reviewMessages(problem, solution, round, { ...request, analysis }),
+            format: REVIEW_SCHEMA,
+            options: generationOptions,
+            signal,
+          });
+          calls.push(result.metrics);
+          const text = stripReasoning(result.text);
+          rubric = await this.assessReview(problem, solution, round, text, { ...request, analysis });
+          review = { text, rubric, durationMs: Date.now() - startedAt };
+        } catch (reviewError) {
+          if (signal.aborted) throw reviewError;
+          console.error(`Scoring candidate ${candidate} failed:`, reviewError);
+          error = reviewError.message;
+        }
+        const tests = await this.validateSolution(solution, testCases, language);
+        const reviewScore = rubric ? rubric.total : 0;
+        return { candidate, score: this.combineScores(reviewScore, tests), reviewScore, testPassRate: tests ? tests.passRate : null, tests, review, error };
+      })
+    );
+    scored.sort((a, b) => b.score - a.score || a.candidate - b.candidate);
+
+    return {
+      method,
+      winner: scored[0].candidate,
+      ranking: scored.map(({ tests, review, ...entry }) => entry),
+      matches: [],
+      tests: new Map(scored.map((entry) => [entry.candidate, entry.tests])),
+      reviews: new Map(scored.map((entry) => [entry.candidate, entry.review])),
+    };
+  }
+
+  resolvePanel(members = CONFIG.DEFAULT_PANEL, reviewerModel = this.reviewer.defaultModel) {
+    return normalizePanel(members, this.reviewerHosts, { defaultModel: reviewerModel });
+  }
+
+  /**
+   * Looks up a run's prompt templates. Each spec is a template name, pinned
+   * to a version as `name@3` or else the latest version. Throws when a
+   * template is missing or belongs to the other role.
+   */
+  async resolveTemplates({ solver = DEFAULT_TEMPLATES.solver, reviewer = DEFAULT_TEMPLATES.reviewer } = {}) {
+    const resolve = async (role, spec) => {
+      const [name, version] = spec.split("@");
+      const template = await this.templateStore.get(name, version === undefined ? undefined : Number(version));
+      if (!template) {
+        throw new Error(`${role} template "${spec}" not found`);
+      }
+      if (template.role !== role) {
+        throw new Error(`"${name}" is a ${template.role} template, not a ${role} template`);
       }
+      return template;
+    };
+    return { solver: await resolve("solver", solver), reviewer: await resolve("reviewer", reviewer) };
+  }
+
+  reviewMessages(problem, solution, round, { persona = null, language = getLanguage(), template, analysis = null } = {}) {
+    // The persona adds to the template's system prompt
+    const system = [renderTemplate(template.system || "", { language: language.label }), personaPrompt(persona)].filter(Boolean).join("\n\n");
+    return [...(system ? [{ role: "system", content: system }] : []), { role: "user", content: buildReviewPrompt(problem, solution, round, language, template, analysis && formatAnalysis(analysis)) }];
+  }
 
-      return response;
+  async reviewSolutionStream(
+    problem,
+    solution,
+    round,
+    { provider = this.reviewer, model = provider.defaultModel, persona = null, language, template, analysis, generationOptions, onRetry, signal } = {}
+  ) {
+    try {
+      return await provider.stream({
+        model,
+        messages: this.reviewMessages(problem, solution, round, { persona, language, template, analysis }),
+        format: REVIEW_SCHEMA,
+        options: generationOptions,
+        onRetry,
+        signal,
+      });
     } catch (error) {
       throw new Error(`Review generation failed: ${error.message}`);
     }
   }
 
-  // Add the missing processStream method
-  async processStream(response, writeStream) {
-    let fullText = "";
-    let isCodeBlock = false;
-    let codeContent = "";
+  /**
+   * Turns the streamed reviewer output into a rubric review. Output that fails
+   * validation is sent back to the reviewer with the errors (up to
+   * REVIEW_RETRIES times); if it never validates, scores are scraped from the
+   * text instead. `source` records which path produced the result. Retry
+   * calls go into `calls`.
+   */
+  async assessReview(
+    problem,
+    solution,
+    round,
+    text,
+    { provider = this.reviewer, model = provider.defaultModel, persona = null, language, template, analysis, generationOptions, calls = [], signal } = {}
+  ) {
+    const attempts = [text];
+    let { review, errors } = parseReview(text);
+
+    for (let retry = 1; !review && retry <= CONFIG.REVIEW_RETRIES; retry++) {
+      signal?.throwIfAborted();
+      try {
+        const messages = [
+          ...this.reviewMessages(problem, solution, round, { persona, language, template, analysis }),
+          ...attempts.flatMap((attempt) => [
+            { role: "assistant", content: attempt },
+            { role: "user", content: buildReviewRetryPrompt(errors) },
+          ]),
+        ];
+        const result = await this.complete("reviewer", provider, { model, messages, format: REVIEW_SCHEMA, options: generationOptions, signal });
+        calls.push(result.metrics);
+        const retried = stripReasoning(result.text);
+        attempts.push(retried);
+        ({ review, errors } = parseReview(retried));
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.error("Review retry failed:", error);
+        break;
+      }
+    }
+
+    if (review) {
+      return { ...review, source: attempts.length > 1 ? "retry" : "json", errors: [] };
+    }
+
+    const fallback = attempts.map(parseLooseReview).find(Boolean);
+    if (fallback) {
+      return { ...fallback, source: "fallback", errors };
+    }
+    return { scores: {}, strengths: [], improvements: [], summary: "", total: 0, source: "unparsed", errors };
+  }
+
+  /**
+   * Runs every panel member's review in parallel, streaming each under its
+   * `reviewer` index. A member that fails is reported and left out; the round
+   * only fails when no member produced a review. Review retries go into
+   * `calls`. `judgeReview` is the first member's review of this solution
+   * from scored ranking, which stands in for a new one; its call was
+   * counted with the ranking's.
+   */
+  async reviewWithPanel(problem, solution, round, panel, { language, template, analysis, generationOptions, calls, judgeReview = null, stream, signal }) {
+    // Scraped scores come without structured feedback, so keep the reviewer's own words for the solver
+    const reviewText = (rubric, text) => (["json", "retry"].includes(rubric.source) ? formatReview(rubric) : `### Score: ${rubric.total}/10\n\n${text.trim()}`);
+
+    const reviews = await Promise.all(
+      panel.map(async (member, reviewer) => {
+        const startedAt = Date.now();
+        const provider = this.reviewerHosts.get(member.host);
+        const options = { provider, model: member.model, persona: member.persona, language, template, analysis, generationOptions, calls, signal };
+
+        if (reviewer === 0 && judgeReview) {
+          const { rubric, durationMs } = judgeReview;
+          const review = reviewText(rubric, judgeReview.text);
+          stream.send(EVENTS.REVIEW_COMPLETE, { round, reviewer, name: member.name, review, rubric, metrics: null, durationMs, fromRanking: true });
+          return { reviewer, ...member, review, rubric, thinking: "", tokens: 0, metrics: null, durationMs, fromRanking: true, error: null };
+        }
 
-    const parser = createParser((event) => {
-      if (event.type === "event") {
         try {
-          const data = JSON.parse(event.data);
-          if (data.message?.content) {
-            const content = data.message.content;
-
-            // For code blocks, ensure proper formatting
-            if (content.includes("```")) {
-              isCodeBlock = !isCodeBlock;
-              if (!isCodeBlock && codeContent) {
-                // When code block ends, clean and write the code
-                const cleanCode = this.cleanCodeBlock(codeContent);
-                fullText += cleanCode;
-                writeStream(cleanCode);
-                codeContent = "";
-              }
-            } else if (isCodeBlock) {
-              // Accumulate code content
-              codeContent += content;
-            } else {
-              // Regular text content
-              fullText += content;
-              writeStream(content);
-            }
-          }
+          const response = await this.reviewSolutionStream(problem, solution, round, {
+            ...options,
+            onRetry: (retry) => stream.send(EVENTS.CALL_RETRY, { round, reviewer, role: "reviewer", ...retry }),
+          });
+          const result = await this.processStream(
+            response,
+            (content) => stream.send(EVENTS.REVIEW_CHUNK, { round, reviewer, content }),
+            (content) => stream.send(EVENTS.THINKING_CHUNK, { round, phase: "review", reviewer, content }),
+            startedAt,
+            signal
+          );
+          const rubric = await this.assessReview(problem, solution, round, result.text, options);
+          this.recordCall("reviewer", member.model, result.metrics);
+          const review = reviewText(rubric, result.text);
+          const durationMs = Date.now() - startedAt;
+          stream.send(EVENTS.REVIEW_COMPLETE, { round, reviewer, name: member.name, review, rubric, metrics: result.metrics, durationMs });
+          return { reviewer, ...member, review, rubric, thinking: result.thinking, tokens: result.tokens, metrics: result.metrics, durationMs, error: null };
         } catch (error) {
-          console.error("Error parsing stream chunk:", error);
+          if (signal.aborted) throw error;
+          console.error(`Review by ${member.name} failed:`, error);
+          this.recordCall("reviewer", member.model, null);
+          stream.send(EVENTS.REVIEW_COMPLETE, { round, reviewer, name: member.name, error: error.message });
+          return { reviewer, ...member, review: "", rubric: null, thinking: "", tokens: 0, metrics: null, durationMs: Date.now() - startedAt, error: error.message };
         }
-      }
+      })
+    );
+
+    if (!reviews.some((review) => !review.error)) {
+      throw new Error(reviews.map((review) => review.error).join("; "));
+    }
+    return reviews;
+  }
+
+  async generateTestCases(problem, { model = this.solver.defaultModel, language = getLanguage(), generationOptions, calls = [], signal } = {}) {
+    try {
+      const example = JSON.stringify({ tests: [{ name: "adds two numbers", ...language.testExample }] });
+      const { text, metrics } = await this.complete("solver", this.solver, {
+        model,
+        messages: [
+          {
+            role: "system",
+            content: `You write unit tests for ${language.label} functions. Respond with JSON only.`,
+          },
+          {
+            role: "user",
+            content: `Write ${CONFIG.SANDBOX.GENERATED_TESTS} test cases for a ${language.label} solution to: ${problem}
+
+Each test case has an "input" (a single ${language.label} expression calling the solution's function) and the "expected" JSON value it should return.
+
+Respond as:
+${example}`,
+          },
+        ],
+        format: "json",
+        options: generationOptions,
+        signal,
+      });
+      calls.push(metrics);
+
+      const parsed = JSON.parse(stripReasoning(text) || "{}");
+      return normalizeTestCases(parsed.tests);
+    } catch (error) {
+      console.error("Test case generation failed:", error);
+      return [];
+    }
+  }
+
+  runTests(solution, testCases, language = getLanguage()) {
+    if (language.runner === "python") {
+      return runPythonTests(solution, testCases, {
+        python: CONFIG.SANDBOX.PYTHON,
+        timeoutMs: CONFIG.SANDBOX.TIMEOUT_MS,
+        memoryMb: CONFIG.SANDBOX.PYTHON_MEMORY_MB,
+        uid: CONFIG.SANDBOX.PYTHON_UID,
+        gid: CONFIG.SANDBOX.PYTHON_GID,
+      });
+    }
+    return runInSandbox(solution, testCases, {
+      timeoutMs: CONFIG.SANDBOX.TIMEOUT_MS,
+      memoryMb: CONFIG.SANDBOX.MEMORY_MB,
     });
+  }
+
+  /**
+   * Checks a solution the way its language allows: test cases in a sandbox
+   * when there are any, otherwise a parse with the language's own tooling.
+   * Resolves to a test outcome, or null when nothing could be checked. A
+   * solution that fails to parse gets a zero pass rate.
+   */
+  async validateSolution(solution, testCases, language) {
+    if (language.runner && testCases.length) {
+      return { check: "tests", ...(await this.runTests(solution, testCases, language)) };
+    }
+    if (!language.syntaxCheck) {
+      return null;
+    }
+
+    const startTime = Date.now();
+    const error = await checkSyntax(language.syntaxCheck, solution, { python: CONFIG.SANDBOX.PYTHON, uid: CONFIG.SANDBOX.PYTHON_UID, gid: CONFIG.SANDBOX.PYTHON_GID });
+    if (error === undefined) {
+      console.warn(`Skipping ${language.label} syntax check: ${language.syntaxCheck === "python" ? CONFIG.SANDBOX.PYTHON : "gofmt"} is not installed`);
+      return null;
+    }
+    if (error === null) {
+      return null;
+    }
+    return { check: "syntax", loaded: false, timedOut: false, error, results: [], logs: [], total: 0, passed: 0, failed: 0, passRate: 0, durationMs: Date.now() - startTime };
+  }
+
+  // Blends the reviewer's score with the sandbox pass rate, both on a 0-10 scale
+  combineScores(reviewScore, testOutcome) {
+    if (!testOutcome) {
+      return reviewScore;
+    }
+    const weight = CONFIG.SANDBOX.TEST_WEIGHT;
+    return Math.round((reviewScore * (1 - weight) + testOutcome.passRate * 10 * weight) * 10) / 10;
+  }
 
+  /**
+   * One-shot model call (pairwise judging, candidate scoring, review retries,
+   * test generation), timed and counted in the metrics like the streamed
+   * ones. Resolves to the answer text without its reasoning, with the call's
+   * token count and metrics; callers that bill a run push the metrics into
+   * their `calls`.
+   */
+  async complete(role, provider, request) {
+    const startedAt = Date.now();
     try {
-      for await (const chunk of response.body) {
-        const text = new TextDecoder().decode(chunk);
-        parser.feed(text);
-      }
+      const result = await this.processStream(
+        await provider.stream(request),
+        () => {},
+        () => {},
+        startedAt,
+        request.signal
+      );
+      this.recordCall(role, request.model, result.metrics);
+      return { text: result.text, tokens: result.tokens, metrics: result.metrics };
     } catch (error) {
-      console.error("Error processing stream:", error);
+      if (!request.signal?.aborted) this.recordCall(role, request.model, null);
       throw error;
     }
-
-    return fullText;
   }
 
-  cleanCodeBlock(code) {
-    // Remove any markdown code block syntax
-    code = code.replace(/```(javascript|js)?/g, "").trim();
+  /**
+   * Consumes a provider stream, forwarding answer text to `onChunk` and
+   * `<think>` reasoning to `onThinking`. `tokens` is the server's usage count,
+   * or an estimate from the output length when it reports none; `metrics`
+   * times the call from `startedAt`, when the request was sent. Failures
+   * caused by aborting `signal` (a cancel or a disconnect) aren't logged.
+   */
+  async processStream(chunks, onChunk, onThinking = () => {}, startedAt = Date.now(), signal = null) {
+    let text = "";
+    let thinking = "";
+    let usage = null;
+    let firstTokenAt = null;
+    const reasoning = new ReasoningFilter();
+
+    const handleSegments = (segments) => {
+      if (segments.thinking) {
+        thinking += segments.thinking;
+        onThinking(segments.thinking);
+      }
+      if (segments.content) {
+        text += segments.content;
+        onChunk(segments.content);
+      }
+    };
 
-    // Ensure the code has proper function declaration if needed
-    if (!code.includes("function") && !code.includes("=>")) {
-      code = `function example() {\n  ${code}\n}`;
+    try {
+      for await (const chunk of chunks) {
+        if (chunk.content && !firstTokenAt) firstTokenAt = Date.now();
+        handleSegments(reasoning.push(chunk.content));
+        usage = chunk.usage || usage;
+      }
+      handleSegments(reasoning.flush());
+    } catch (error) {
+      if (!signal?.aborted) console.error("Error processing stream:", error);
+      throw error;
     }
 
-    return code;
+    const metrics = callMetrics({ usage, chars: text.length + thinking.length, startedAt, firstTokenAt, finishedAt: Date.now(), charsPerToken: CONFIG.CHARS_PER_TOKEN });
+    return { text, thinking, tokens: metrics.promptTokens + metrics.completionTokens, metrics };
   }
 
-  async streamSolveAndReview(problem, maxRounds, res) {
-    res.writeHead(200, {
-      "Content-Type": "text/event-stream",
-      "Cache-Control": "no-cache",
-      Connection: "keep-alive",
+  async streamSolveAndReview(
+    problem,
+    res,
+    {
+      maxRounds = CONFIG.DEFAULT_ROUNDS,
+      testCases = [],
+      feedbackStrategy = CONFIG.DEFAULT_FEEDBACK_STRATEGY,
+      solverModel = this.solver.defaultModel,
+      panel = this.resolvePanel(),
+      aggregation = CONFIG.PANEL.DEFAULT_AGGREGATION,
+      language = DEFAULT_LANGUAGE,
+      candidates = 1,
+      rankingMethod = CONFIG.CANDIDATES.DEFAULT_RANKING,
+      stopPolicy = parseStopPolicy({}),
+      templates,
+      generationOptions = { solver: {}, reviewer: {}, deterministic: false },
+      lintRules = CONFIG.LINT_RULES,
+      warmup = CONFIG.WARMUP.ENABLED,
+      // Pause after every round's review for the engineer's feedback and score
+      interactive = false,
+      // Saved history to build on, `{ id, parent, rounds, skippedRounds, previous }`; a null `id` starts a new run,
+      // otherwise `previous` is the saved run being continued
+      resume = null,
+    } = {}
+  ) {
+    const languageConfig = getLanguage(language);
+    const inherited = resume?.rounds ?? [];
+    const inheritedBest = inherited.reduce((best, round) => (!best || round.score > best.score ? round : best), null);
+    const reviewerModel = [...new Set(panel.map((member) => member.model))].join(", ");
+    const run = {
+      id: resume?.id ?? RunStore.createId(),
+      // The run and round a fork branched from
+      parent: resume?.parent ?? null,
+      problem,
+      solverModel,
+      reviewerModel,
+      panel,
+      aggregation,
+      language,
+      candidates,
+      rankingMethod,
+      maxRounds,
+      feedbackStrategy,
+      stopPolicy,
+      generationOptions,
+      // Only JavaScript solutions are linted
+      lintRules: languageConfig.analyzer === "javascript" ? lintRules : null,
+      templates: { solver: { name: templates.solver.name, version: templates.solver.version }, reviewer: { name: templates.reviewer.name, version: templates.reviewer.version } },
+      status: "running",
+      startedAt: Date.now(),
+      queuedMs: 0,
+      // Time interactive runs spent waiting for the engineer and then for their hosts again
+      pausedMs: 0,
+      interactive,
+      finishedAt: null,
+      durationMs: null,
+      tokens: inherited.reduce((sum, round) => sum + (round.tokens || 0), 0),
+      metrics: null,
+      endReason: null,
+      warmup: null,
+      testCases,
+      rounds: [...inherited],
+      // Rounds given up on after failing every attempt: { round, error }
+      skippedRounds: [...(resume?.skippedRounds ?? [])],
+      bestScore: inheritedBest?.score ?? 0,
+      bestSolution: inheritedBest?.solution ?? "",
+      bestRound: inheritedBest?.round ?? null,
+      error: null,
+    };
+    // Resumed runs carry on after the last round they inherited, played or skipped
+    const firstRound = Math.max(0, ...[...run.rounds, ...run.skippedRounds].map((round) => round.round)) + 1;
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    this.activeRuns.set(run.id, { controller, run, phase: null });
+    this.setPhase(run.id, "queued");
+
+    const stream = new EventStream(res, run.id);
+    // Closing the EventSource (or the tab) stops the run instead of leaving both model servers busy
+    stream.open(() => controller.abort(new Error("Client disconnected")));
+    stream.send(EVENTS.RUN_START, {
+      problem,
+      solverModel,
+      reviewerModel,
+      panel,
+      aggregation,
+      language,
+      candidates,
+      rankingMethod,
+      maxRounds,
+      feedbackStrategy,
+      stopPolicy,
+      templates: run.templates,
+      generationOptions,
+      lintRules: run.lintRules,
+      interactive,
+      parent: run.parent,
+      fromRound: resume ? firstRound - 1 : null,
+      bestScore: run.bestScore,
+      bestSolution: run.bestSolution,
+      bestRound: run.bestRound,
+      startedAt: run.startedAt,
     });
 
-    const writeStream = (content) => {
-      res.write(`data: ${JSON.stringify({ content })}\n\n`);
+    let release = () => {};
+    // Resolves to how long the run waited; interactive runs give their slots up while paused and queue again
+    const acquireHosts = async () => {
+      const queuedAt = Date.now();
+      let queued = false;
+      release = await this.queue.acquire(run.id, [this.solver.url, ...panel.map((member) => this.reviewerHosts.get(member.host).url)], {
+        signal,
+        meta: { problem, solverModel, reviewerModel },
+        onPosition: (position, waiting) => {
+          queued = true;
+          stream.send(EVENTS.QUEUE_POSITION, { position, waiting });
+        },
+      });
+      const waitedMs = Date.now() - queuedAt;
+      if (queued) {
+        stream.send(EVENTS.QUEUE_POSITION, { position: 0, waiting: this.queue.waiting.length, queuedMs: waitedMs });
+      }
+      return waitedMs;
     };
 
     try {
-      const connected = await this.checkConnection();
-      if (!connected) {
-        throw new Error("⚠️ Failed to connect to Ollama instances or required model not found");
+      run.queuedMs = await acquireHosts();
+
+      this.setPhase(run.id, "checking_hosts");
+      const health = await this.checkHealth(solverModel, panel);
+      // Hosts the run doesn't use may be down, and so may those a fallback host can stand in for
+      const unusable = unusableHosts(health.hosts);
+      if (unusable.length) {
+        throw new Error(summarizeHealth(unusable).problems.join("; "));
+      }
+
+      if (warmup) {
+        this.setPhase(run.id, "warming_up");
+        run.warmup = await this.warmupModels(solverModel, panel, health, { stream, signal });
       }
 
-      writeStream("# Code Evolution Analysis\n\n");
-      writeStream("## 🎯 Problem Statement\n\n");
-      writeStream(`${problem}\n\n`);
+      // Only languages with a sandbox runner get tests; the others are syntax-checked at most. Resumed runs keep their tests
+      const testSource = resume ? "inherited" : testCases.length ? "user" : languageConfig.runner ? "generated" : "none";
+      if (testSource === "generated") {
+        this.setPhase(run.id, "generating_tests");
+        const calls = [];
+        testCases = await this.generateTestCases(problem, { model: solverModel, language: languageConfig, generationOptions: generationOptions.solver, calls, signal });
+        run.testCases = testCases;
+        run.tokens += callTokens(calls);
+      }
+      stream.send(EVENTS.TESTS_READY, { testCases, source: testSource });
+
+      let currentSolution = run.rounds.at(-1)?.solution ?? "";
+      let { bestSolution, bestScore } = run;
+      // Neither queue time nor waiting for the engineer counts against the time budget
+      const shouldStop = (rounds = run.rounds) => checkStop(stopPolicy, { rounds, elapsedMs: Date.now() - run.startedAt - run.queuedMs - run.pausedMs, tokens: run.tokens });
+
+      // Plays one round; failures are thrown so the loop below can play it again or skip it
+      const playRound = async (round) => {
+        const roundStartedAt = Date.now();
+        const tokensBefore = run.tokens;
+        // Ranking reviews, pairwise judging and review retries, which aren't streamed
+        const reviewerCalls = [];
+        stream.send(EVENTS.ROUND_START, { round, maxRounds, startedAt: roundStartedAt });
+        this.setPhase(run.id, "generating", round);
+
+        const generated = await Promise.all(
+          Array.from({ length: candidates }, async (_, candidate) => {
+            try {
+              const result = await this.generateCandidate(problem, round, candidate, {
+                count: candidates,
+                model: solverModel,
+                history: run.rounds,
+                strategy: feedbackStrategy,
+                bestScore,
+                language: languageConfig,
+                template: templates.solver,
+                generationOptions: generationOptions.solver,
+                lintRules: run.lintRules,
+                stream,
+                signal,
+              });
+              for (const call of [...result.syntaxRetries.map((retry) => retry.metrics), result.metrics]) {
+                this.recordCall("solver", solverModel, call);
+              }
+              return result;
+            } catch (error) {
+              if (!signal.aborted) this.recordCall("solver", solverModel, null);
+              if (signal.aborted || candidates === 1) throw error;
+              console.error(`Candidate ${candidate} failed:`, error);
+              stream.send(EVENTS.ERROR, { round, candidate, message: error.message, fatal: false });
+              return { candidate, solution: "", tokens: 0, metrics: null, error: error.message };
+            }
+          })
+        );
+        const generationMs = Date.now() - roundStartedAt;
+        const usable = generated.filter((entry) => entry.solution);
+        run.tokens += generated.reduce((sum, entry) => sum + entry.tokens, 0);
 
-      let currentSolution = "";
-      let bestSolution = "";
-      let bestScore = 0;
+        if (!usable.length) {
+          if (generated.every((entry) => entry.error)) {
+            throw new Error(generated.map((entry) => entry.error).join("; "));
+          }
+          stream.send(EVENTS.ERROR, { round, message: "Failed to generate a valid solution. Retrying...", fatal: false });
+          return;
+        }
 
-      for (let round = 1; round <= maxRounds; round++) {
-        writeStream(`## 🔄 Round ${round}/${maxRounds}\n\n`);
+        let ranking = null;
+        if (usable.length > 1) {
+          const rankingStartedAt = Date.now();
+          this.setPhase(run.id, "ranking", round);
+          ranking = await this.rankCandidates(problem, round, usable, {
+            method: rankingMethod,
+            judge: panel[0],
+            testCases,
+            language: languageConfig,
+            template: templates.reviewer,
+            generationOptions: generationOptions.reviewer,
+            calls: reviewerCalls,
+            signal,
+          });
+          ranking.durationMs = Date.now() - rankingStartedAt;
+          stream.send(EVENTS.CANDIDATES_RANKED, { round, method: ranking.method, winner: ranking.winner, ranking: ranking.ranking, matches: ranking.matches, durationMs: ranking.durationMs });
+        }
+        const winner = ranking ? generated[ranking.winner] : usable[0];
+        currentSolution = winner.solution;
 
-        writeStream("### 💡 Generating Solution\n\n");
-        const solutionResponse = await this.generateSolutionStream(
-          problem,
-          currentSolution,
-          round > 1 ? `Previous score: ${bestScore}/10\nImprove the solution focusing on JavaScript best practices.` : ""
+        // A solution that still doesn't parse once its syntax retries are used up skips review and scores zero;
+        // the solver gets the parse error as its feedback instead
+        const unparsable = Boolean(winner.analysis?.syntaxError);
+        let reviews = [];
+        if (!unparsable) {
+          this.setPhase(run.id, "reviewing", round);
+          reviews = await this.reviewWithPanel(problem, currentSolution, round, panel, {
+            language: languageConfig,
+            template: templates.reviewer,
+            analysis: winner.analysis,
+            generationOptions: generationOptions.reviewer,
+            calls: reviewerCalls,
+            judgeReview: ranking?.reviews?.get(winner.candidate) ?? null,
+            stream,
+            signal,
+          });
+          run.tokens += reviews.reduce((sum, entry) => sum + entry.tokens, 0);
+        }
+        run.tokens += callTokens(reviewerCalls);
+        const combined = combineReviews(
+          reviews.filter((review) => !review.error),
+          { strategy: aggregation, threshold: CONFIG.PANEL.DISAGREEMENT_THRESHOLD }
         );
+        const reviewScore = unparsable ? 0 : combined.score;
+        // The solver gets one review with every reviewer's points
+        const review = unparsable
+          ? `${formatAnalysis(winner.analysis)}\n\nThe solution was not reviewed. Fix the syntax error first.`
+          : reviews.length === 1
+            ? reviews[0].review
+            : formatReview({ ...combined.rubric, total: reviewScore });
+        const reviewMs = Date.now() - roundStartedAt - generationMs - (ranking?.durationMs || 0);
+        stream.send(EVENTS.PANEL_RESULT, {
+          round,
+          aggregation,
+          score: reviewScore,
+          scores: reviews.filter((entry) => !entry.error).map((entry) => ({ reviewer: entry.reviewer, name: entry.name, score: entry.rubric.total })),
+          criteria: combined.rubric.scores,
+          disagreement: combined.disagreement,
+          durationMs: reviewMs,
+        });
+
+        signal.throwIfAborted();
+        this.setPhase(run.id, "testing", round);
+        // Scored ranking already checked every candidate
+        const testOutcome = ranking?.tests ? ranking.tests.get(winner.candidate) : await this.validateSolution(currentSolution, testCases, languageConfig);
+        if (testOutcome) {
+          stream.send(EVENTS.TEST_RESULTS, { round, ...testOutcome });
+        }
+
+        let score = this.combineScores(reviewScore, testOutcome);
+        stream.send(EVENTS.SCORE, { round, score, reviewScore, testPassRate: testOutcome ? testOutcome.passRate : null });
+
+        // The engineer's notes reach the solver next round alongside the review; a score they give replaces the round's.
+        // The hosts go back to the queue meanwhile, so a paused run doesn't hold other runs up
+        let human = null;
+        let pausedMs = 0;
+        // Feedback after the last round, or one the run is going to stop after, would never reach the solver
+        const lastRound = round === maxRounds || Boolean(shouldStop([...run.rounds, { round, score, tests: testOutcome }]));
+        if (interactive && !lastRound) {
+          this.setPhase(run.id, "awaiting_feedback", round);
+          const pausedAt = Date.now();
+          release();
+          release = () => {};
+          const answer = await this.awaitFeedback(run.id, round, { score, reviewScore, stream, signal });
+          human = { ...answer, modelScore: score, waitedMs: Date.now() - pausedAt };
+          if (answer.score !== null) score = answer.score;
+          stream.send(EVENTS.HUMAN_FEEDBACK, { round, ...human });
 
-        writeStream("```javascript\n");
-        currentSolution = await this.processStream(solutionResponse, writeStream);
-        writeStream("\n```\n\n");
+          this.setPhase(run.id, "queued", round);
+          await acquireHosts();
+          pausedMs = Date.now() - pausedAt;
+          run.pausedMs += pausedMs;
+        }
 
-        if (!currentSolution || currentSolution === "undefined") {
-          writeStream("⚠️ Failed to generate a valid solution. Retrying...\n");
-          continue;
+        const previous = run.rounds.at(-1);
+        const diff = previous ? diffSolutions(previous.solution, currentSolution) : null;
+        if (diff) {
+          stream.send(EVENTS.SOLUTION_DIFF, { round, from: previous.round, ...diff });
         }
 
-        writeStream("### 🔍 Code Review\n\n");
-        const reviewResponse = await this.reviewSolutionStream(problem, currentSolution, round);
-        const review = await this.processStream(reviewResponse, writeStream);
+        run.rounds.push({
+          round,
+          solution: currentSolution,
+          solutionThinking: winner.thinking,
+          commentary: winner.commentary,
+          candidate: winner.candidate,
+          candidates: generated,
+          ranking: ranking && { method: ranking.method, winner: ranking.winner, ranking: ranking.ranking, matches: ranking.matches, durationMs: ranking.durationMs },
+          review,
+          reviews,
+          reviewerCalls,
+          disagreement: combined.disagreement,
+          reviewScore,
+          score,
+          tests: testOutcome,
+          analysis: winner.analysis,
+          human,
+          diff,
+          startedAt: roundStartedAt,
+          generationMs,
+          rankingMs: ranking?.durationMs || 0,
+          reviewMs,
+          tokens: run.tokens - tokensBefore,
+          metrics: { solver: sumMetrics(generated.flatMap(candidateCalls)), reviewer: sumMetrics(roundReviewerCalls({ reviews, reviewerCalls })) },
+          durationMs: Date.now() - roundStartedAt - pausedMs,
+        });
+        const { metrics, durationMs } = run.rounds.at(-1);
+        stream.send(EVENTS.ROUND_METRICS, { round, ...metrics, generationMs, rankingMs: ranking?.durationMs || 0, reviewMs, durationMs });
+        this.metrics.inc("qa_rounds_total");
+        this.metrics.observe("qa_round_duration_seconds", {}, durationMs / 1000);
 
-        const score = this.extractScore(review);
         if (score > bestScore) {
           bestScore = score;
           bestSolution = currentSolution;
-          writeStream("\n#### ⭐ New Best Solution!\n");
+          Object.assign(run, { bestScore, bestSolution, bestRound: round });
+          stream.send(EVENTS.BEST_UPDATED, { round, score, solution: bestSolution });
         }
+      };
 
-        if (score >= 9) {
-          writeStream("\n### 🎉 Excellent solution achieved!\n\n");
-          break;
+      let consecutiveSkips = 0;
+      for (let round = firstRound; round <= maxRounds; round++) {
+        // A failed round is played again, then skipped; only a run of skipped rounds ends the run
+        for (let attempt = 1; ; attempt++) {
+          signal.throwIfAborted();
+          try {
+            await playRound(round);
+            consecutiveSkips = 0;
+            break;
+          } catch (error) {
+            if (signal.aborted) throw error;
+            const retrying = attempt <= CONFIG.ROUND_RECOVERY.RETRIES;
+            console.error(`Round ${round} failed (attempt ${attempt}):`, error);
+            this.metrics.inc("qa_rounds_failed_total", { outcome: retrying ? "retried" : "skipped" });
+            stream.send(EVENTS.ROUND_FAILED, { round, attempt, message: error.message, retrying });
+            if (retrying) continue;
+
+            run.skippedRounds.push({ round, error: error.message });
+            if (++consecutiveSkips >= CONFIG.ROUND_RECOVERY.MAX_CONSECUTIVE_SKIPS) {
+              throw new Error(consecutiveSkips > 1 ? `${consecutiveSkips} rounds in a row failed: ${error.message}` : error.message);
+            }
+            break;
+          }
         }
 
-        if (round < maxRounds) {
-          writeStream("\n### 📝 Analysis\n");
-          writeStream("Proceeding to next iteration for further improvements...\n\n");
-          writeStream("---\n\n");
+        run.endReason = shouldStop();
+        if (run.endReason) {
+          break;
         }
       }
+      if (!run.rounds.length && run.skippedRounds.length) {
+        throw new Error(run.skippedRounds.at(-1).error);
+      }
 
-      writeStream("\n## 📊 Final Results\n\n");
-      writeStream(`- **Best Score:** ${bestScore}/10\n`);
-      writeStream(`- **Best Solution:**\n\n`);
-      writeStream("```javascript\n");
-      writeStream(bestSolution || "// No valid solution generated");
-      writeStream("\n```\n\n");
+      run.status = "completed";
+      run.endReason ??= { reason: "max_rounds", message: `${STOP_REASONS.max_rounds} (${maxRounds})` };
+    } catch (error) {
+      if (signal.aborted) {
+        Object.assign(run, { status: "cancelled", error: signal.reason?.message || "Cancelled" });
+        run.endReason = { reason: "cancelled", message: run.error };
+      } else {
+        console.error("Error in streamSolveAndReview:", error);
+        Object.assign(run, { status: "error", error: error.message, endReason: { reason: "error", message: error.message } });
+        stream.send(EVENTS.ERROR, { round: run.rounds.length + 1, message: error.message, fatal: true });
+      }
+    } finally {
+      release();
+      this.activeRuns.delete(run.id);
+    }
 
-      writeStream("\n### 🏁 Process Completed\n");
-      res.end();
+    run.finishedAt = Date.now();
+    run.durationMs = run.finishedAt - run.startedAt;
+    run.metrics = summarizeRun(run.rounds);
+    for (const round of run.rounds) {
+      round.diffToBest = diffSolutions(round.solution, run.bestSolution);
+    }
+    this.metrics.inc("qa_runs_total", { status: run.status });
+    const saved = resume?.previous ? withContinuation(resume.previous, run, firstRound - 1) : run;
+    try {
+      await this.runStore.save(saved);
     } catch (error) {
-      console.error("Error in streamSolveAndReview:", error);
-      writeStream(`\n### ❌ Error\n\n${error.message}\n`);
-      res.end();
+      console.error("Failed to save run:", error);
     }
-  }
 
-  extractScore(review) {
-    const scoreMatch = review.match(/Score:\s*(\d+)\/10/);
-    return scoreMatch ? parseInt(scoreMatch[1]) : 0;
+    stream.send(EVENTS.DONE, {
+      status: run.status,
+      bestScore: run.bestScore,
+      bestSolution: run.bestSolution,
+      bestRound: run.bestRound,
+      rounds: run.rounds.length,
+      // Totals across the run's continuations, as saved
+      durationMs: saved.durationMs,
+      tokens: run.tokens,
+      metrics: run.metrics,
+      endReason: run.endReason,
+      disagreements: run.rounds.filter((round) => round.disagreement?.high).map((round) => ({ round: round.round, range: round.disagreement.range })),
+    });
+    stream.end();
   }
 
-  async checkConnection() {
-    try {
-      const [solverTags, reviewerTags] = await Promise.all([fetch(`${this.solverHost}/api/tags`), fetch(`${this.reviewerHost}/api/tags`)]);
-
-      if (!solverTags.ok || !reviewerTags.ok) {
-        return false;
+  async listModels() {
+    const describe = async (provider) => {
+      const info = { provider: provider.type, host: provider.url, defaultModel: provider.defaultModel };
+      try {
+        return { ...info, available: true, models: await provider.listModels(), error: null };
+      } catch (error) {
+        return { ...info, available: false, models: [], error: error.message };
       }
+    };
+
+    const [solver, ...hosts] = await Promise.all([describe(this.solver), ...[...this.reviewerHosts.values()].map(describe)]);
+    const reviewer = hosts[0];
+    const names = [...new Set([...solver.models, ...reviewer.models])].sort();
+
+    return {
+      solver,
+      reviewer,
+      // Every host a panel member can use, including the primary reviewer
+      reviewerHosts: [...this.reviewerHosts.keys()].map((name, index) => ({ name, ...hosts[index] })),
+      models: names.map((name) => ({
+        name,
+        solver: solver.models.includes(name),
+        reviewer: reviewer.models.includes(name),
+      })),
+    };
+  }
 
-      const [solverData, reviewerData] = await Promise.all([solverTags.json(), reviewerTags.json()]);
+  /**
+   * Loads the run's models before the first round so the first generation
+   * isn't slowed by model loading. Models the health check found loaded are
+   * skipped, as are servers without a warmup; a failed warmup is reported but
+   * doesn't stop the run.
+   */
+  async warmupModels(solverModel, panel, health, { stream, signal }) {
+    const targets = new Map();
+    for (const [host, provider, model] of [["solver", this.solver, solverModel], ...panel.map((member) => [member.host, this.reviewerHosts.get(member.host), member.model])]) {
+      if (!targets.has(`${provider.url}|${model}`)) targets.set(`${provider.url}|${model}`, { host, provider, model });
+    }
 
-      // Check if both instances have the required model
-      const solverHasModel = solverData.models?.some((model) => model.name === CONFIG.MODEL);
-      const reviewerHasModel = reviewerData.models?.some((model) => model.name === CONFIG.MODEL);
+    return Promise.all(
+      [...targets.values()].map(async ({ host, provider, model }) => {
+        const startedAt = Date.now();
+        let entry;
+        if (health.hosts.find((checked) => checked.url === provider.url)?.loaded?.some((loaded) => loaded.name === model)) {
+          entry = { host, model, skipped: "loaded", loadMs: 0, durationMs: 0, error: null };
+        } else {
+          try {
+            const result = await provider.warmup(model, { keepAlive: CONFIG.WARMUP.KEEP_ALIVE, signal });
+            entry = { host, model, skipped: result ? null : "unsupported", loadMs: result?.loadMs ?? 0, durationMs: Date.now() - startedAt, error: null };
+          } catch (error) {
+            if (signal.aborted) throw error;
+            console.error(`Warmup of ${model} on ${host} failed:`, error);
+            entry = { host, model, skipped: null, loadMs: 0, durationMs: Date.now() - startedAt, error: error.message };
+          }
+        }
+        stream.send(EVENTS.WARMUP, entry);
+        return entry;
+      })
+    );
+  }
 
-      if (!solverHasModel || !reviewerHasModel) {
-        console.warn(`Model ${CONFIG.MODEL} not found. Please run: ollama pull ${CONFIG.MODEL}`);
-        return false;
+  /**
+   * Pulls each `{ host, provider, model }` target in turn, streaming the
+   * server's progress. Progress is only sent when the status or the whole
+   * percentage changes. A failed pull is reported and the next one still runs.
+   */
+  async pullModels(targets, stream, signal) {
+    const results = [];
+    for (const { host, provider, model } of targets) {
+      const startedAt = Date.now();
+      let last = null;
+      try {
+        for await (const progress of await provider.pull(model, { signal })) {
+          const percent = progress.total ? Math.floor((progress.completed / progress.total) * 100) : null;
+          if (last && last.status === progress.status && last.percent === percent) continue;
+          last = { status: progress.status, percent };
+          stream.send(EVENTS.PULL_PROGRESS, { host, model, ...progress, percent });
+        }
+        const durationMs = Date.now() - startedAt;
+        stream.send(EVENTS.PULL_COMPLETE, { host, model, durationMs });
+        results.push({ host, model, status: "success", durationMs, error: null });
+      } catch (error) {
+        if (signal.aborted) throw error;
+        console.error(`Pulling ${model} on ${host} failed:`, error);
+        stream.send(EVENTS.ERROR, { host, model, message: error.message, fatal: false });
+        results.push({ host, model, status: "error", durationMs: Date.now() - startedAt, error: error.message });
       }
+    }
+    return results;
+  }
 
-      return true;
-    } catch (error) {
-      console.error("Connection check failed:", error);
-      return false;
+  /**
+   * Checks the solver, every reviewer host and the fallback hosts. `required`
+   * lists the models a host needs for this solver model and panel (a fallback
+   * host without a model of its own needs the ones it would stand in for);
+   * see summarizeHealth for the overall status.
+   */
+  async checkHealth(solverModel = this.solver.defaultModel, panel = this.resolvePanel()) {
+    const timeoutMs = CONFIG.HEALTH_TIMEOUT_MS;
+    const panelModels = (members) => [...new Set(members.map((member) => member.model))];
+    const hosts = await Promise.all([
+      checkHost(this.solver, { name: "solver", role: "solver", required: [solverModel], timeoutMs }),
+      ...[...this.reviewerHosts].map(([name, provider]) => checkHost(provider, { name, role: "reviewer", required: panelModels(panel.filter((member) => member.host === name)), timeoutMs })),
+      ...[...this.fallbackHosts].map(([name, { role, provider }]) =>
+        checkHost(provider, { name, role, fallback: true, required: provider.defaultModel ? [provider.defaultModel] : role === "solver" ? [solverModel] : panelModels(panel), timeoutMs })
+      ),
+    ]);
+    for (const host of hosts) {
+      host.models.forEach((model) => this.knownModels.add(model));
     }
+    return { ...summarizeHealth(hosts), hosts, checkedAt: Date.now() };
   }
 }
 
@@ -290,14 +1354,152 @@ const app = express();
 app.use(
   cors({
     origin: CONFIG.CORS_ORIGINS,
-    methods: ["GET", "POST"],
+    methods: ["GET", "POST", "PUT", "DELETE"],
     allowedHeaders: ["Content-Type"],
   })
 );
 
 app.use(express.json());
 
-const qaSystem = new OllamaQASystem();
+const runStore = new RunStore(CONFIG.DATA_DIR);
+const templateStore = new TemplateStore(CONFIG.PROMPTS_DIR, CONFIG.DATA_DIR);
+const qaSystem = new OllamaQASystem(runStore, templateStore);
+
+/**
+ * Reads a run's settings from `/solve` query parameters. `base` is a saved run
+ * being continued or forked: its problem, language and tests carry over, and
+ * the parameters given override its other settings. Throws with the message
+ * for a 400 on anything invalid.
+ */
+async function parseRunOptions(query, base = null) {
+  const {
+    tests,
+    feedback = base?.feedbackStrategy ?? CONFIG.DEFAULT_FEEDBACK_STRATEGY,
+    solverModel = base?.solverModel,
+    reviewerModel,
+    panel,
+    aggregation = base?.aggregation ?? CONFIG.PANEL.DEFAULT_AGGREGATION,
+    candidates = base?.candidates ?? 1,
+    ranking = base?.rankingMethod ?? CONFIG.CANDIDATES.DEFAULT_RANKING,
+    solverTemplate = base?.templates && `${base.templates.solver.name}@${base.templates.solver.version}`,
+    reviewerTemplate = base?.templates && `${base.templates.reviewer.name}@${base.templates.reviewer.version}`,
+    solverOptions,
+    reviewerOptions,
+    deterministic = String(base?.generationOptions?.deterministic ?? false),
+    warmup,
+    lintRules,
+    interactive = String(base?.interactive ?? false),
+  } = query;
+  const language = base ? (base.language ?? DEFAULT_LANGUAGE) : (query.language ?? DEFAULT_LANGUAGE);
+
+  if (!FEEDBACK_STRATEGIES.includes(feedback.toString())) {
+    throw new Error(`Invalid feedback strategy. Expected one of: ${FEEDBACK_STRATEGIES.join(", ")}`);
+  }
+
+  if (!AGGREGATIONS.includes(aggregation.toString())) {
+    throw new Error(`Invalid aggregation. Expected one of: ${AGGREGATIONS.join(", ")}`);
+  }
+
+  let stopPolicy;
+  try {
+    stopPolicy = parseStopPolicy(query, base?.stopPolicy);
+  } catch (error) {
+    throw new Error(`Invalid stop policy: ${error.message}`);
+  }
+
+  if (!RANKING_METHODS.includes(ranking.toString())) {
+    throw new Error(`Invalid ranking method. Expected one of: ${RANKING_METHODS.join(", ")}`);
+  }
+
+  const languageConfig = getLanguage(language.toString());
+
+  let reviewPanel;
+  try {
+    // A new reviewerModel replaces the model of the saved panel's members on the primary reviewer host
+    const members = panel
+      ? JSON.parse(panel.toString())
+      : base?.panel
+        ? base.panel.map((member) => ({ host: member.host, persona: member.persona, model: reviewerModel && member.host === "reviewer" ? undefined : member.model }))
+        : CONFIG.DEFAULT_PANEL;
+    reviewPanel = qaSystem.resolvePanel(members, reviewerModel?.toString() || (base && !base.panel ? base.reviewerModel : undefined));
+  } catch (error) {
+    throw new Error(`Invalid panel parameter: ${error.message}`);
+  }
+
+  if (!["true", "false", "1", "0"].includes(deterministic.toString())) {
+    throw new Error("deterministic must be true or false");
+  }
+
+  if (warmup !== undefined && !["true", "false", "1", "0"].includes(warmup.toString())) {
+    throw new Error("warmup must be true or false");
+  }
+
+  if (!["true", "false", "1", "0"].includes(interactive.toString())) {
+    throw new Error("interactive must be true or false");
+  }
+
+  const generationOptions = { deterministic: ["true", "1"].includes(deterministic.toString()) };
+  for (const [role, value] of [
+    ["solver", solverOptions],
+    ["reviewer", reviewerOptions],
+  ]) {
+    try {
+      const options = value ? parseGenerationOptions(value.toString()) : (base?.generationOptions?.[role] ?? {});
+      generationOptions[role] = withDeterministicSeed(options, generationOptions.deterministic);
+    } catch (error) {
+      throw new Error(`Invalid ${role}Options parameter: ${error.message}`);
+    }
+  }
+
+  // Runs saved before linting get the current rules
+  let runLintRules = base?.lintRules ?? CONFIG.LINT_RULES;
+  if (lintRules) {
+    if (languageConfig.analyzer !== "javascript") {
+      throw new Error(`${languageConfig.label} solutions aren't linted`);
+    }
+    try {
+      runLintRules = { ...CONFIG.LINT_RULES, ...parseLintRules(lintRules.toString()) };
+    } catch (error) {
+      throw new Error(`Invalid lintRules parameter: ${error.message}`);
+    }
+  }
+
+  let templates;
+  try {
+    templates = await qaSystem.resolveTemplates({ solver: solverTemplate?.toString() || undefined, reviewer: reviewerTemplate?.toString() || undefined });
+  } catch (error) {
+    throw new Error(`Invalid template: ${error.message}`);
+  }
+
+  let testCases = base?.testCases ?? [];
+  if (tests && !base) {
+    try {
+      testCases = normalizeTestCases(JSON.parse(tests.toString()));
+    } catch (error) {
+      throw new Error(`Invalid tests parameter: ${error.message}`);
+    }
+    if (testCases.length && !languageConfig.runner) {
+      throw new Error(`Test cases can't be run for ${languageConfig.label} solutions`);
+    }
+  }
+
+  return {
+    testCases,
+    feedbackStrategy: feedback.toString(),
+    solverModel: solverModel?.toString() || undefined,
+    panel: reviewPanel,
+    aggregation: aggregation.toString(),
+    language: languageConfig.id,
+    candidates: Math.min(Math.max(1, parseInt(candidates.toString()) || 1), CONFIG.CANDIDATES.MAX),
+    rankingMethod: ranking.toString(),
+    stopPolicy,
+    templates,
+    generationOptions,
+    lintRules: runLintRules,
+    warmup: warmup === undefined ? undefined : ["true", "1"].includes(warmup.toString()),
+    interactive: ["true", "1"].includes(interactive.toString()),
+  };
+}
 
 app.get("/solve", async (req, res) => {
   const { problem, rounds = CONFIG.DEFAULT_ROUNDS } = req.query;
@@ -306,10 +1508,16 @@ app.get("/solve", async (req, res) => {
     return res.status(400).json({ error: "Problem description is required" });
   }
 
+  let options;
   try {
-    const maxRounds = Math.min(Math.max(CONFIG.MIN_ROUNDS, parseInt(rounds.toString()) || CONFIG.DEFAULT_ROUNDS), CONFIG.MAX_ROUNDS);
+    options = await parseRunOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    await qaSystem.streamSolveAndReview(problem.toString(), maxRounds, res);
+  try {
+    const maxRounds = Math.min(Math.max(CONFIG.MIN_ROUNDS, parseInt(rounds.toString()) || CONFIG.DEFAULT_ROUNDS), CONFIG.MAX_ROUNDS);
+    await qaSystem.streamSolveAndReview(problem.toString(), res, { ...options, maxRounds });
   } catch (error) {
     if (!res.headersSent) {
       res.status(500).json({
@@ -320,15 +1528,430 @@ app.get("/solve", async (req, res) => {
   }
 });
 
+/**
+ * The saved record of a continued run. It keeps the original start, and its
+ * outcome unless the continuation finished cleanly, so a cancelled or failed
+ * continuation doesn't make a finished run look broken; rounds the
+ * continuation did play are kept either way. Each continuation is listed in
+ * `continuations` with its own timing and outcome, and `durationMs`,
+ * `queuedMs` and `pausedMs` add up across them.
+ */
+function withContinuation(previous, run, fromRound) {
+  const segment = {
+    fromRound,
+    rounds: run.rounds.filter((round) => round.round > fromRound).map((round) => round.round),
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    durationMs: run.durationMs,
+    status: run.status,
+    endReason: run.endReason,
+    error: run.error,
+  };
+  return {
+    ...run,
+    ...(run.status !== "completed" && { status: previous.status, endReason: previous.endReason, error: previous.error }),
+    startedAt: previous.startedAt,
+    durationMs: (previous.durationMs || 0) + run.durationMs,
+    queuedMs: (previous.queuedMs || 0) + run.queuedMs,
+    pausedMs: (previous.pausedMs || 0) + run.pausedMs,
+    continuations: [...(previous.continuations ?? []), segment],
+  };
+}
+
+// IDs of saved runs a continue request is loading or playing
+const continuingRuns = new Set();
+
+/**
+ * Plays `rounds` more rounds (default DEFAULT_ROUNDS) on top of a saved run's
+ * history up to `fromRound`, streaming the same events as `/solve`. Forks
+ * become new runs that record their parent; a continued run keeps its ID.
+ */
+async function resumeSavedRun(req, res, { fork }) {
+  if (qaSystem.activeRuns.has(req.params.id) || continuingRuns.has(req.params.id)) {
+    return res.status(409).json({ error: "Run is still in progress" });
+  }
+  // Held until the continuation ends, since the run only shows up in activeRuns once streaming starts
+  if (!fork) {
+    continuingRuns.add(req.params.id);
+  }
+  try {
+    await playOnSavedRun(req, res, { fork });
+  } finally {
+    continuingRuns.delete(req.params.id);
+  }
+}
+
+async function playOnSavedRun(req, res, { fork }) {
+  let source;
+  try {
+    source = await runStore.get(req.params.id);
+  } catch (error) {
+    return res.status(500).json({ error: error.message, status: "error" });
+  }
+  if (!source) {
+    return res.status(404).json({ error: "Run not found" });
+  }
+
+  const skippedRounds = source.skippedRounds ?? [];
+  let fromRound = Math.max(0, ...[...source.rounds, ...skippedRounds].map((round) => round.round));
+  if (fork) {
+    fromRound = Number(req.query.fromRound);
+    if (!source.rounds.some((round) => round.round === fromRound)) {
+      return res.status(400).json({
+        error: source.rounds.length ? `Invalid fromRound parameter: expected one of ${source.rounds.map((round) => round.round).join(", ")}` : "Run has no rounds to fork from",
+      });
+    }
+  }
+
+  let options;
+  try {
+    options = await parseRunOptions(req.query, source);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const rounds = Math.min(Math.max(1, parseInt(req.query.rounds) || CONFIG.DEFAULT_ROUNDS), CONFIG.MAX_ROUNDS);
+    await qaSystem.streamSolveAndReview(source.problem, res, {
+      ...options,
+      maxRounds: fromRound + rounds,
+      resume: {
+        id: fork ? null : source.id,
+        parent: fork ? { id: source.id, round: fromRound } : (source.parent ?? null),
+        rounds: source.rounds.filter((round) => round.round <= fromRound),
+        skippedRounds: skippedRounds.filter((round) => round.round <= fromRound),
+        // The saved run a continuation is recorded onto
+        previous: fork ? null : source,
+      },
+    });
+  } catch (error) {
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message, status: "error" });
+    }
+  }
+}
+
+app.post("/runs/:id/continue", (req, res) => resumeSavedRun(req, res, { fork: false }));
+
+app.post("/runs/:id/fork", (req, res) => resumeSavedRun(req, res, { fork: true }));
+
+app.get("/models", async (req, res) => {
+  try {
+    res.json(await qaSystem.listModels());
+  } catch (error) {
+    res.status(500).json({ error: error.message, status: "error" });
+  }
+});
+
+app.get("/runs", async (req, res) => {
+  try {
+    res.json(await runStore.list());
+  } catch (error) {
+    res.status(500).json({ error: error.message, status: "error" });
+  }
+});
+
+app.get("/runs/:id", async (req, res) => {
+  try {
+    const run = await runStore.get(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ error: error.message, status: "error" });
+  }
+});
+
+// Diff between two rounds' solutions; `to` may also be "best" for the run's best solution
+app.get("/runs/:id/diff", async (req, res) => {
+  const from = Number(req.query.from);
+  const to = req.query.to === "best" ? "best" : Number(req.query.to);
+  if (!Number.isInteger(from) || (to !== "best" && !Number.isInteger(to))) {
+    return res.status(400).json({ error: 'from must be a round number and to a round number or "best"' });
+  }
+
+  try {
+    const run = qaSystem.activeRuns.get(req.params.id)?.run ?? (await runStore.get(req.params.id));
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+    const before = run.rounds.find((round) => round.round === from);
+    const after = to === "best" ? run.bestSolution && { solution: run.bestSolution } : run.rounds.find((round) => round.round === to);
+    if (!before || !after) {
+      return res.status(404).json({ error: !before ? `Round ${from} not found` : to === "best" ? "Run has no best solution yet" : `Round ${to} not found` });
+    }
+    res.json({ from, to, ...diffSolutions(before.solution, after.solution) });
+  } catch (error) {
+    res.status(500).json({ error: error.message, status: "error" });
+  }
+});
+
+app.get("/templates", async (req, res) => {
+  try {
+    const templates = await templateStore.list();
+    res.json(req.query.role ? templates.filter((template) => template.role === req.query.role) : templates);
+  } catch (error) {
+    res.status(500).json({ error: error.message, status: "error" });
+  }
+});
+
+app.get("/templates/:name", async (req, res) => {
+  try {
+    const versions = await templateStore.versions(req.params.name);
+    if (!versions.length) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    res.json({ ...versions.at(-1), versions });
+  } catch (error) {
+    res.status(500).json({ error: error.message, status: "error" });
+  }
+});
+
+app.get("/templates/:name/versions/:version", async (req, res) => {
+  try {
+    const template = await templateStore.get(req.params.name, Number(req.params.version));
+    if (!template) {
+      return res.status(404).json({ error: "Template version not found" });
+    }
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ error: error.message, status: "error" });
+  }
+});
+
+app.post("/templates", async (req, res) => {
+  const { name, role, ...body } = req.body || {};
+  if (typeof name !== "string" || !TemplateStore.isValidName(name)) {
+    return res.status(400).json({ error: "name must be 1-64 lowercase letters, digits or dashes" });
+  }
+  const errors = validateTemplate(role, body);
+  if (errors.length) {
+    return res.status(400).json({ error: `Invalid template: ${errors.join("; ")}` });
+  }
+
+  try {
+    if ((await templateStore.versions(name)).length) {
+      return res.status(409).json({ error: `Template "${name}" already exists; PUT /templates/${name} adds a version` });
+    }
+    res.status(201).json(await templateStore.save(name, { role, ...body }));
+  } catch (error) {
+    res.status(500).json({ error: error.message, status: "error" });
+  }
+});
+
+// Saves a new version; earlier versions are kept
+app.put("/templates/:name", async (req, res) => {
+  try {
+    const latest = await templateStore.get(req.params.name);
+    if (!latest) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    // Parts left out are carried over from the latest version
+    const fields = Object.fromEntries(Object.keys(TEMPLATE_ROLES[latest.role].fields).map((field) => [field, latest[field]]));
+    const body = { description: latest.description, ...fields, ...req.body, role: latest.role };
+    const errors = validateTemplate(latest.role, body);
+    if (errors.length) {
+      return res.status(400).json({ error: `Invalid template: ${errors.join("; ")}` });
+    }
+    res.json(await templateStore.save(req.params.name, body));
+  } catch (error) {
+    res.status(500).json({ error: error.message, status: "error" });
+  }
+});
+
+app.delete("/templates/:name", async (req, res) => {
+  try {
+    const versions = await templateStore.versions(req.params.name);
+    if (!versions.length) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    if (!(await templateStore.delete(req.params.name))) {
+      return res.status(400).json({ error: "Built-in templates can't be deleted" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: error.message, status: "error" });
+  }
+});
+
+// Prometheus text format
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(qaSystem.metrics.render());
+});
+
+/**
+ * Pulls models onto the model hosts, streaming progress as SSE. The body
+ * names the hosts ("solver", "reviewer", a REVIEWER_HOSTS name or a fallback
+ * host such as "solver-fallback-1") and optionally the model; each host
+ * defaults to its configured model.
+ */
+app.post("/admin/pull", async (req, res) => {
+  const { hosts = ["solver", "reviewer"], model } = req.body || {};
+  const providers = new Map([["solver", qaSystem.solver], ...qaSystem.reviewerHosts, ...[...qaSystem.fallbackHosts].map(([name, host]) => [name, host.provider])]);
+
+  if (!Array.isArray(hosts) || !hosts.length || hosts.some((host) => !providers.has(host))) {
+    return res.status(400).json({ error: `hosts must be a list of: ${[...providers.keys()].join(", ")}` });
+  }
+  if (model !== undefined && (typeof model !== "string" || !model.trim())) {
+    return res.status(400).json({ error: "model must be a non-empty string" });
+  }
+
+  // Hosts sharing a server only pull once
+  const targets = [];
+  for (const host of hosts) {
+    const provider = providers.get(host);
+    const target = { key: `${provider.url}|${model?.trim() || provider.defaultModel}`, host, provider, model: model?.trim() || provider.defaultModel };
+    if (!target.model) {
+      return res.status(400).json({ error: `${host} has no configured model, so pass model` });
+    }
+    if (!targets.some((existing) => existing.key === target.key)) targets.push(target);
+  }
+  const busy = targets.find((target) => qaSystem.pulls.has(target.key));
+  if (busy) {
+    return res.status(409).json({ error: `Already pulling ${busy.model} on ${busy.host}` });
+  }
+
+  const controller = new AbortController();
+  const stream = new EventStream(res, null);
+  stream.open(() => controller.abort(new Error("Client disconnected")));
+  targets.forEach((target) => qaSystem.pulls.add(target.key));
+  try {
+    const results = await qaSystem.pullModels(targets, stream, controller.signal);
+    stream.send(EVENTS.DONE, { results });
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      stream.send(EVENTS.ERROR, { message: error.message, fatal: true });
+    }
+  } finally {
+    targets.forEach((target) => qaSystem.pulls.delete(target.key));
+    stream.end();
+  }
+});
+
+// 503 when a host in use is down, so the endpoint also works as a liveness probe
+app.get("/health", async (req, res) => {
+  try {
+    const health = await qaSystem.checkHealth();
+    const runs = [...qaSystem.activeRuns.keys()].map((id) => qaSystem.runStatus(id));
+    res.status(health.status === "down" ? 503 : 200).json({ ...health, runs });
+  } catch (error) {
+    res.status(500).json({ error: error.message, status: "error" });
+  }
+});
+
+app.get("/runs/:id/status", async (req, res) => {
+  try {
+    const status = qaSystem.runStatus(req.params.id);
+    if (status) {
+      return res.json(status);
+    }
+    const run = await runStore.get(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+    res.json({
+      id: run.id,
+      problem: run.problem,
+      status: run.status,
+      phase: null,
+      roundsCompleted: run.rounds.length,
+      maxRounds: run.maxRounds,
+      bestScore: run.bestScore,
+      tokens: run.tokens ?? null,
+      startedAt: run.startedAt,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message, status: "error" });
+  }
+});
+
+app.get("/queue", (req, res) => {
+  res.json(qaSystem.queue.snapshot());
+});
+
+app.post("/runs/:id/cancel", (req, res) => {
+  if (!qaSystem.cancelRun(req.params.id)) {
+    return res.status(404).json({ error: "No active run with that ID" });
+  }
+  res.status(202).json({ id: req.params.id, status: "cancelling" });
+});
+
+/**
+ * Answers an interactive run waiting after a round's review. The body may
+ * hold `feedback` for the solver's next round and a `score` (0-10) replacing
+ * the round's; an empty body accepts the model review as it is. `round`, when
+ * given, must be the round the run is waiting on.
+ */
+app.post("/runs/:id/feedback", (req, res) => {
+  const { round, feedback, score } = req.body || {};
+  if (round !== undefined && !Number.isInteger(round)) {
+    return res.status(400).json({ error: "Invalid feedback: round must be an integer" });
+  }
+  if (feedback !== undefined && feedback !== null && typeof feedback !== "string") {
+    return res.status(400).json({ error: "Invalid feedback: feedback must be a string" });
+  }
+  if (score !== undefined && score !== null && (typeof score !== "number" || !Number.isFinite(score) || score < 0 || score > 10)) {
+    return res.status(400).json({ error: "Invalid feedback: score must be a number between 0 and 10" });
+  }
+
+  try {
+    const answered = qaSystem.submitFeedback(req.params.id, { round, feedback: feedback?.trim() || null, score: score ?? null });
+    if (!answered) {
+      return res.status(404).json({ error: "No active run with that ID" });
+    }
+    res.status(202).json({ id: req.params.id, status: "resuming" });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.delete("/runs/:id", async (req, res) => {
+  try {
+    const deleted = await runStore.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: error.message, status: "error" });
+  }
+});
+
 const PORT = CONFIG.PORTS.DEFAULT;
 
-app.listen(PORT, async () => {
-  console.log(`Server running on port ${PORT}`);
-  const connected = await qaSystem.checkConnection();
-  if (connected) {
+const server = app.listen(PORT, async () => {
+  // PORT=0 picks a free port, which the tests rely on
+  console.log(`Server running on port ${server.address().port}`);
+  console.log(`Solver: ${qaSystem.solver.type} at ${qaSystem.solver.url} (${qaSystem.solver.defaultModel})`);
+  for (const [name, reviewer] of qaSystem.reviewerHosts) {
+    console.log(`Reviewer ${name}: ${reviewer.type} at ${reviewer.url} (${reviewer.defaultModel})`);
+  }
+  for (const { provider } of qaSystem.fallbackHosts.values()) {
+    console.log(`${provider.label}: ${provider.type} at ${provider.url} (${provider.defaultModel || "requested model"})`);
+  }
+  console.log(
+    `Review panel: ${qaSystem
+      .resolvePanel()
+      .map((member) => `${member.name} on ${member.host}`)
+      .join(", ")}`
+  );
+  console.log(
+    `Host concurrency: ${qaSystem.queue
+      .snapshot()
+      .hosts.map(({ host, limit }) => `${host}=${limit}`)
+      .join(", ")}`
+  );
+  if (CONFIG.SANDBOX.PYTHON_UID === undefined) {
+    console.warn("⚠️  PYTHON_UID is not set: Python solutions run as the server's user, unconfined apart from resource limits");
+  }
+  const health = await qaSystem.checkHealth();
+  if (health.status === "ok") {
     console.log("✅ Successfully connected to Ollama instances");
   } else {
-    console.log("⚠️  Failed to connect to Ollama instances or required model not found");
+    for (const problem of health.problems) {
+      console.warn(`⚠️  ${problem}`);
+    }
     console.log(`Please ensure Ollama is running and the ${CONFIG.MODEL} model is installed:`);
     console.log(`1. Run: ollama pull ${CONFIG.MODEL}`);
     console.log(`2. Start Ollama instances:`);
@@ -1,27 +1,106 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "./components/ui/card";
-import { Loader2, Send, RefreshCcw } from "lucide-react";
-import remarkGfm from "remark-gfm";
-import ReactMarkdown from "react-markdown";
-import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
-import { vscDarkPlus } from "react-syntax-highlighter/dist/esm/styles/prism";
+import RunHistory from "./components/RunHistory";
+import RoundCard from "./components/RoundCard";
+import { CodeBlock } from "./components/Markdown";
+import ModelSelect from "./components/ModelSelect";
+import PanelEditor, { type PanelDraft } from "./components/PanelEditor";
+import StopPolicyEditor, { type StopPolicyDraft } from "./components/StopPolicyEditor";
+import TemplateSelect from "./components/TemplateSelect";
+import MetricsLine from "./components/MetricsLine";
+import HealthIndicator from "./components/HealthIndicator";
+import DiffViewer from "./components/DiffViewer";
+import BranchControls from "./components/BranchControls";
+import FeedbackBox from "./components/FeedbackBox";
+import GenerationOptionsEditor, { type GenerationOptionsDraft, type RoleOptionsDraft } from "./components/GenerationOptionsEditor";
+import { Clock, GitBranch, Loader2, Send, RefreshCcw, Square } from "lucide-react";
+import {
+  API_BASE_URL,
+  FEEDBACK_STRATEGIES,
+  SOLVE_EVENT_TYPES,
+  cancelRun,
+  deleteRun,
+  getRun,
+  listModels,
+  listRuns,
+  listTemplates,
+  resumeRun,
+  LANGUAGES,
+  RANKING_METHODS,
+  type Aggregation,
+  type Language,
+  type FeedbackStrategy,
+  type GenerationOptions,
+  type ModelsResponse,
+  type PromptTemplate,
+  type RankingMethod,
+  type ResumeParams,
+  type RunSummary,
+  type SolveEvent,
+} from "./lib/api";
+import { applyEvent, runToView, type RunView } from "./lib/runView";
 
-const API_BASE_URL = "http://localhost:5100";
+const EMPTY_ROLE_OPTIONS: RoleOptionsDraft = { temperature: "", top_p: "", seed: "", num_ctx: "", num_predict: "" };
 
-interface Message {
-  role: "assistant" | "user";
-  content: string;
-  timestamp: number;
-  type?: "thinking" | "solution" | "review" | "error";
-}
+// Only the options that were filled in, or null to leave them all to the server
+const toGenerationOptions = (draft: RoleOptionsDraft): GenerationOptions | null => {
+  const entries = Object.entries(draft)
+    .filter(([, value]) => value.trim())
+    .map(([name, value]) => [name, Number(value)]);
+  return entries.length ? Object.fromEntries(entries) : null;
+};
 
 const QASystem = () => {
-  const [messages, setMessages] = useState<Message[]>([]);
+  const [run, setRun] = useState<RunView | null>(null);
   const [input, setInput] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<Error | null>(null);
   const [rounds, setRounds] = useState(5);
+  const [feedbackStrategy, setFeedbackStrategy] = useState<FeedbackStrategy>("last-review");
   const [eventSource, setEventSource] = useState<EventSource | null>(null);
+  // Continue and fork stream over a POST request instead of an EventSource
+  const resumeController = useRef<AbortController | null>(null);
+  const [runs, setRuns] = useState<RunSummary[]>([]);
+  const [models, setModels] = useState<ModelsResponse | null>(null);
+  const [solverModel, setSolverModel] = useState("");
+  const [reviewerModel, setReviewerModel] = useState("");
+  const [panel, setPanel] = useState<PanelDraft[]>([]);
+  const [aggregation, setAggregation] = useState<Aggregation>("mean");
+  const [language, setLanguage] = useState<Language>("javascript");
+  const [candidates, setCandidates] = useState(1);
+  const [rankingMethod, setRankingMethod] = useState<RankingMethod>("scored");
+  const [templates, setTemplates] = useState<PromptTemplate[]>([]);
+  const [solverTemplate, setSolverTemplate] = useState("");
+  const [reviewerTemplate, setReviewerTemplate] = useState("");
+  const [stopPolicy, setStopPolicy] = useState<StopPolicyDraft>({ targetScore: 9, plateau: 0, stopOnRegression: false, stopOnTestsPass: false, timeBudget: "", tokenBudget: "" });
+  const [warmup, setWarmup] = useState(false);
+  const [interactive, setInteractive] = useState(false);
+  const [generationOptions, setGenerationOptions] = useState<GenerationOptionsDraft>({ solver: EMPTY_ROLE_OPTIONS, reviewer: EMPTY_ROLE_OPTIONS, deterministic: false });
+
+  const refreshRuns = useCallback(async () => {
+    try {
+      setRuns(await listRuns());
+    } catch (error) {
+      console.error("Failed to load run history:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshRuns();
+  }, [refreshRuns]);
+
+  useEffect(() => {
+    listModels()
+      .then((response) => {
+        setModels(response);
+        setSolverModel((current) => current || response.solver.defaultModel);
+        setReviewerModel((current) => current || response.reviewer.defaultModel);
+      })
+      .catch((error) => console.error("Failed to load models:", error));
+    listTemplates()
+      .then(setTemplates)
+      .catch((error) => console.error("Failed to load prompt templates:", error));
+  }, []);
 
   useEffect(() => {
     return () => {
@@ -37,211 +116,410 @@ const QASystem = () => {
 
     setIsLoading(true);
     setError(null);
-
-    // Add user message
-    setMessages((prev) => [
-      ...prev,
-      {
-        role: "user",
-        content: input,
-        timestamp: Date.now(),
-      },
-    ]);
+    setRun(null);
 
     if (eventSource) {
       eventSource.close();
     }
 
     try {
+      const solverOptions = toGenerationOptions(generationOptions.solver);
+      const reviewerOptions = toGenerationOptions(generationOptions.reviewer);
       const queryString = new URLSearchParams({
         problem: input,
         rounds: rounds.toString(),
+        feedback: feedbackStrategy,
+        language,
+        ...(solverModel && { solverModel }),
+        ...(reviewerModel && { reviewerModel }),
+        ...(panel.length && {
+          panel: JSON.stringify(panel.map((member) => ({ host: member.host, ...(member.model && { model: member.model }), ...(member.persona.trim() && { persona: member.persona.trim() }) }))),
+        }),
+        aggregation,
+        candidates: candidates.toString(),
+        ...(candidates > 1 && { ranking: rankingMethod }),
+        ...(solverTemplate && { solverTemplate }),
+        ...(reviewerTemplate && { reviewerTemplate }),
+        targetScore: stopPolicy.targetScore.toString(),
+        ...(stopPolicy.plateau > 0 && { plateau: stopPolicy.plateau.toString() }),
+        ...(stopPolicy.stopOnRegression && { stopOnRegression: "true" }),
+        ...(stopPolicy.stopOnTestsPass && { stopOnTestsPass: "true" }),
+        ...(stopPolicy.timeBudget && { timeBudget: stopPolicy.timeBudget }),
+        ...(stopPolicy.tokenBudget && { tokenBudget: stopPolicy.tokenBudget }),
+        ...(solverOptions && { solverOptions: JSON.stringify(solverOptions) }),
+        ...(reviewerOptions && { reviewerOptions: JSON.stringify(reviewerOptions) }),
+        ...(generationOptions.deterministic && { deterministic: "true" }),
+        ...(warmup && { warmup: "true" }),
+        ...(interactive && { interactive: "true" }),
       }).toString();
 
       const newEventSource = new EventSource(`${API_BASE_URL}/solve?${queryString}`);
       setEventSource(newEventSource);
 
-      let currentMessage = "";
-      let messageType: Message["type"] = "thinking";
-
-      newEventSource.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          if (data.content) {
-            // Determine message type based on content
-            if (data.content.includes("Round")) {
-              messageType = "thinking";
-            } else if (data.content.includes("```")) {
-              messageType = "solution";
-            } else if (data.content.includes("Review:") || data.content.includes("Score:")) {
-              messageType = "review";
-            }
+      let finished = false;
+
+      for (const type of SOLVE_EVENT_TYPES) {
+        newEventSource.addEventListener(type, (event) => {
+          // The browser also fires "error" for connection failures; only server-sent events carry data
+          if (!(event instanceof MessageEvent)) return;
 
-            currentMessage += data.content;
-            setMessages((prev) => {
-              const newMessages = [...prev];
-              const lastMessage = newMessages[newMessages.length - 1];
-
-              if (lastMessage && lastMessage.role === "assistant") {
-                lastMessage.content = currentMessage;
-                lastMessage.type = messageType;
-                return [...newMessages];
-              } else {
-                return [
-                  ...newMessages,
-                  {
-                    role: "assistant",
-                    content: currentMessage,
-                    timestamp: Date.now(),
-                    type: messageType,
-                  },
-                ];
-              }
-            });
+          try {
+            const solveEvent = { type, ...JSON.parse(event.data) } as SolveEvent;
+            setRun((prev) => applyEvent(prev, solveEvent));
+
+            if (solveEvent.type === "done") {
+              finished = true;
+              newEventSource.close();
+              setIsLoading(false);
+              refreshRuns();
+            }
+          } catch (error) {
+            console.error("Failed to parse stream event:", error);
           }
-        } catch (error) {}
-      };
+        });
+      }
 
-      newEventSource.onerror = (error) => {
+      newEventSource.onerror = () => {
+        if (finished) return;
         newEventSource.close();
         setIsLoading(false);
         setError(new Error("Connection error. Please try again."));
+        refreshRuns();
       };
-
-      newEventSource.addEventListener("done", () => {
-        newEventSource.close();
-        setIsLoading(false);
-      });
     } catch (error) {
       setError(error instanceof Error ? error : new Error("An unknown error occurred"));
       setIsLoading(false);
     }
   };
 
-  const getMessageStyle = (type?: Message["type"]) => {
-    switch (type) {
-      case "thinking":
-        return "border-l-4 border-blue-500 bg-blue-50 dark:bg-blue-900/20";
-      case "solution":
-        return "border-l-4 border-green-500 bg-green-50 dark:bg-green-900/20";
-      case "review":
-        return "border-l-4 border-purple-500 bg-purple-50 dark:bg-purple-900/20";
-      case "error":
-        return "border-l-4 border-red-500 bg-red-50 dark:bg-red-900/20";
-      default:
-        return "";
+  const stopRun = async () => {
+    try {
+      if (!run) throw new Error("Run has not started yet");
+      // The server answers with a "done" event once the run has stopped
+      await cancelRun(run.id);
+    } catch (error) {
+      // Dropping the connection also cancels the run on the server
+      console.error("Failed to cancel run:", error);
+      eventSource?.close();
+      resumeController.current?.abort();
+      setIsLoading(false);
+      refreshRuns();
+    }
+  };
+
+  const branchRun = async (params: ResumeParams) => {
+    if (!run || isLoading) return;
+    const controller = new AbortController();
+    resumeController.current = controller;
+    setIsLoading(true);
+    setError(null);
+    try {
+      await resumeRun(run.id, params, (event) => setRun((prev) => applyEvent(prev, event)), controller.signal);
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        setError(error instanceof Error ? error : new Error("An unknown error occurred"));
+      }
+    } finally {
+      resumeController.current = null;
+      setIsLoading(false);
+      refreshRuns();
+    }
+  };
+
+  const openRun = async (id: string) => {
+    try {
+      const savedRun = await getRun(id);
+      setError(null);
+      setRun(runToView(savedRun));
+    } catch (error) {
+      setError(error instanceof Error ? error : new Error("Failed to load run"));
+    }
+  };
+
+  const removeRun = async (id: string) => {
+    try {
+      await deleteRun(id);
+      if (id === run?.id) {
+        setRun(null);
+      }
+      await refreshRuns();
+    } catch (error) {
+      setError(error instanceof Error ? error : new Error("Failed to delete run"));
     }
   };
 
   return (
-    <div className="w-full max-w-4xl mx-auto p-4 space-y-4">
-      <Card>
-        <CardHeader className="flex flex-row items-center justify-between">
-          <CardTitle>AI Code Assistant</CardTitle>
-          <div className="flex items-center space-x-2">
-            <div className={`w-2 h-2 rounded-full ${isLoading ? "bg-green-500 animate-pulse" : "bg-gray-500"}`} />
-            <span className="text-sm text-gray-600 dark:text-gray-400">{isLoading ? "Processing" : "Ready"}</span>
-          </div>
-        </CardHeader>
-        <CardContent>
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <textarea
-              value={input}
-              onChange={(e) => setInput(e.target.value)}
-              placeholder="Describe your programming task or problem here..."
-              className="w-full min-h-[100px] p-4 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-800 dark:border-gray-700"
-              disabled={isLoading}
-            />
-            <div className="flex items-center justify-between">
+    <div className="w-full max-w-6xl mx-auto p-4 flex flex-col lg:flex-row gap-4">
+      <RunHistory runs={runs} activeRunId={run?.id ?? null} disabled={isLoading} onSelect={openRun} onDelete={removeRun} />
+
+      <div className="flex-1 min-w-0 space-y-4">
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between">
+            <CardTitle>AI Code Assistant</CardTitle>
+            <div className="flex items-center space-x-4">
+              <HealthIndicator />
               <div className="flex items-center space-x-2">
-                <label htmlFor="rounds" className="text-sm font-medium">
-                  Improvement Rounds:
+                <div className={`w-2 h-2 rounded-full ${isLoading ? "bg-green-500 animate-pulse" : "bg-gray-500"}`} />
+                <span className="text-sm text-gray-600 dark:text-gray-400">{isLoading ? (run?.queuePosition ? "Queued" : "Processing") : "Ready"}</span>
+              </div>
+            </div>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <textarea
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                placeholder="Describe your programming task or problem here..."
+                className="w-full min-h-[100px] p-4 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-800 dark:border-gray-700"
+                disabled={isLoading}
+              />
+              <div className="flex flex-wrap items-center gap-4">
+                <div className="flex items-center space-x-2">
+                  <label htmlFor="language" className="text-sm font-medium">
+                    Language:
+                  </label>
+                  <select id="language" value={language} onChange={(e) => setLanguage(e.target.value as Language)} className="border rounded-lg p-1 dark:bg-gray-800" disabled={isLoading}>
+                    {LANGUAGES.map((entry) => (
+                      <option key={entry.value} value={entry.value}>
+                        {entry.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <ModelSelect id="solver-model" label="Solver" role="solver" value={solverModel} models={models} disabled={isLoading} onChange={setSolverModel} />
+                <ModelSelect id="reviewer-model" label="Reviewer" role="reviewer" value={reviewerModel} models={models} disabled={isLoading} onChange={setReviewerModel} />
+              </div>
+              <div className="flex flex-wrap items-center gap-4">
+                <TemplateSelect id="solver-template" label="Solver prompt" role="solver" value={solverTemplate} templates={templates} disabled={isLoading} onChange={setSolverTemplate} />
+                <TemplateSelect id="reviewer-template" label="Reviewer prompt" role="reviewer" value={reviewerTemplate} templates={templates} disabled={isLoading} onChange={setReviewerTemplate} />
+                <label className="flex items-center space-x-1 text-sm" title="Load the models into memory before the first round">
+                  <input type="checkbox" checked={warmup} onChange={(e) => setWarmup(e.target.checked)} disabled={isLoading} />
+                  <span>Warm up models</span>
+                </label>
+                <label className="flex items-center space-x-1 text-sm" title="Pause after each review for your feedback and score">
+                  <input type="checkbox" checked={interactive} onChange={(e) => setInteractive(e.target.checked)} disabled={isLoading} />
+                  <span>Review rounds myself</span>
                 </label>
-                <select id="rounds" value={rounds} onChange={(e) => setRounds(Number(e.target.value))} className="border rounded-lg p-1 dark:bg-gray-800" disabled={isLoading}>
-                  {[2, 3, 4, 5, 6].map((num) => (
-                    <option key={num} value={num}>
-                      {num}
-                    </option>
-                  ))}
-                </select>
               </div>
-              <div className="flex space-x-2">
-                <button
-                  type="submit"
-                  disabled={isLoading || !input.trim()}
-                  className="flex items-center justify-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                >
-                  {isLoading ? (
-                    <>
-                      <Loader2 className="w-4 h-4 mr-2 animate-spin" />
-                      Processing
-                    </>
-                  ) : (
-                    <>
-                      <Send className="w-4 h-4 mr-2" />
-                      Submit
-                    </>
+              <PanelEditor panel={panel} aggregation={aggregation} models={models} disabled={isLoading} onChange={setPanel} onAggregationChange={setAggregation} />
+              <StopPolicyEditor policy={stopPolicy} disabled={isLoading} onChange={setStopPolicy} />
+              <GenerationOptionsEditor options={generationOptions} disabled={isLoading} onChange={setGenerationOptions} />
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-2">
+                  <label htmlFor="rounds" className="text-sm font-medium">
+                    Improvement Rounds:
+                  </label>
+                  <select id="rounds" value={rounds} onChange={(e) => setRounds(Number(e.target.value))} className="border rounded-lg p-1 dark:bg-gray-800" disabled={isLoading}>
+                    {[2, 3, 4, 5, 6].map((num) => (
+                      <option key={num} value={num}>
+                        {num}
+                      </option>
+                    ))}
+                  </select>
+                  <label htmlFor="feedback" className="text-sm font-medium">
+                    Feedback:
+                  </label>
+                  <select
+                    id="feedback"
+                    value={feedbackStrategy}
+                    onChange={(e) => setFeedbackStrategy(e.target.value as FeedbackStrategy)}
+                    className="border rounded-lg p-1 dark:bg-gray-800"
+                    disabled={isLoading}
+                  >
+                    {FEEDBACK_STRATEGIES.map((strategy) => (
+                      <option key={strategy.value} value={strategy.value}>
+                        {strategy.label}
+                      </option>
+                    ))}
+                  </select>
+                  <label htmlFor="candidates" className="text-sm font-medium">
+                    Candidates:
+                  </label>
+                  <select id="candidates" value={candidates} onChange={(e) => setCandidates(Number(e.target.value))} className="border rounded-lg p-1 dark:bg-gray-800" disabled={isLoading}>
+                    {[1, 2, 3, 4].map((num) => (
+                      <option key={num} value={num}>
+                        {num}
+                      </option>
+                    ))}
+                  </select>
+                  {candidates > 1 && (
+                    <select
+                      id="ranking"
+                      value={rankingMethod}
+                      onChange={(e) => setRankingMethod(e.target.value as RankingMethod)}
+                      className="border rounded-lg p-1 dark:bg-gray-800"
+                      disabled={isLoading}
+                      title="How candidates are ranked"
+                    >
+                      {RANKING_METHODS.map((method) => (
+                        <option key={method.value} value={method.value}>
+                          {method.label}
+                        </option>
+                      ))}
+                    </select>
                   )}
-                </button>
-                <button
-                  type="button"
-                  onClick={() => {
-                    setMessages([]);
-                    setError(null);
-                    if (eventSource) eventSource.close();
-                  }}
-                  disabled={isLoading || messages.length === 0}
-                  className="flex items-center justify-center px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                >
-                  <RefreshCcw className="w-4 h-4 mr-2" />
-                  Reset
-                </button>
-              </div>
-            </div>
-          </form>
-        </CardContent>
-      </Card>
-
-      <div className="space-y-4">
-        {messages.map((message, index) => (
-          <Card key={`${message.timestamp}-${index}`} className={`overflow-hidden ${message.role === "user" ? "bg-gray-50 dark:bg-gray-900" : getMessageStyle(message.type)}`}>
-            <CardContent className="p-4">
-              <ReactMarkdown
-                remarkPlugins={[remarkGfm]}
-                components={{
-                  code({ node, inline, className, children, ...props }) {
-                    const match = /language-(\w+)/.exec(className || "");
-                    return !inline ? (
-                      <SyntaxHighlighter language={match ? match[1] : "javascript"} style={vscDarkPlus} PreTag="div" className="rounded-lg" {...props}>
-                        {String(children).replace(/\n$/, "")}
-                      </SyntaxHighlighter>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    type="submit"
+                    disabled={isLoading || !input.trim()}
+                    className="flex items-center justify-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {isLoading ? (
+                      <>
+                        <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                        Processing
+                      </>
                     ) : (
-                      <code className="bg-gray-100 dark:bg-gray-800 px-1 rounded" {...props}>
-                        {children}
-                      </code>
-                    );
-                  },
-                }}
-              >
-                {message.content}
-              </ReactMarkdown>
+                      <>
+                        <Send className="w-4 h-4 mr-2" />
+                        Submit
+                      </>
+                    )}
+                  </button>
+                  {isLoading && (
+                    <button type="button" onClick={stopRun} className="flex items-center justify-center px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors">
+                      <Square className="w-4 h-4 mr-2 fill-current" />
+                      Stop
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setRun(null);
+                      setError(null);
+                      if (eventSource) eventSource.close();
+                      resumeController.current?.abort();
+                    }}
+                    disabled={isLoading || !run}
+                    className="flex items-center justify-center px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <RefreshCcw className="w-4 h-4 mr-2" />
+                    Reset
+                  </button>
+                </div>
+              </div>
+            </form>
+          </CardContent>
+        </Card>
+
+        {run && (
+          <div className="space-y-4">
+            <Card className="bg-gray-50 dark:bg-gray-900">
+              <CardContent className="p-4 space-y-1">
+                <p className="text-xs text-gray-500">
+                  {new Date(run.startedAt).toLocaleString()} · solver {run.solverModel} · reviewer {run.reviewerModel}
+                  {run.templates && ` · prompts ${run.templates.solver.name} v${run.templates.solver.version} / ${run.templates.reviewer.name} v${run.templates.reviewer.version}`}
+                  {run.generationOptions?.deterministic && " · deterministic"}
+                  {run.testCases.length > 0 && ` · ${run.testCases.length} test cases`}
+                </p>
+                {run.parent && (
+                  <button
+                    type="button"
+                    onClick={() => run.parent && openRun(run.parent.id)}
+                    disabled={isLoading}
+                    className="flex items-center text-xs text-blue-600 hover:underline disabled:opacity-50"
+                  >
+                    <GitBranch className="w-3 h-3 mr-1" />
+                    Forked from round {run.parent.round} of another run
+                  </button>
+                )}
+                {run.warmup.length > 0 && (
+                  <p className="text-xs text-gray-500">
+                    Warmup:{" "}
+                    {run.warmup
+                      .map(
+                        (entry) =>
+                          `${entry.model} on ${entry.host} ${entry.error ? `failed (${entry.error})` : entry.skipped === "loaded" ? "already loaded" : entry.skipped ? "skipped" : `loaded in ${(entry.durationMs / 1000).toFixed(1)}s`}`
+                      )
+                      .join(" · ")}
+                  </p>
+                )}
+                <p className="whitespace-pre-wrap">{run.problem}</p>
+              </CardContent>
+            </Card>
+
+            {run.queuePosition !== null && (
+              <div className="flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-400">
+                <Clock className="w-4 h-4" />
+                <span>Waiting for a free model host · position {run.queuePosition} in queue</span>
+              </div>
+            )}
+
+            {run.rounds.map((round) => (
+              <RoundCard
+                key={round.round}
+                round={round}
+                maxRounds={run.maxRounds}
+                isBest={round.round === run.bestRound}
+                aggregation={run.aggregation}
+                language={run.language}
+                candidateCount={run.candidates}
+              />
+            ))}
+
+            {run.status === "running" && run.rounds.filter((round) => round.awaitingFeedback).map((round) => <FeedbackBox key={`${run.id}-${round.round}`} runId={run.id} round={round} />)}
+
+            <DiffViewer key={run.id} run={run} />
+
+            {run.error && (
+              <Card className="overflow-hidden border-l-4 border-red-500 bg-red-50 dark:bg-red-900/20">
+                <CardContent className="p-4 text-red-600">{run.error}</CardContent>
+              </Card>
+            )}
+
+            {run.status !== "running" && (
+              <Card className="overflow-hidden border-l-4 border-blue-500 bg-blue-50 dark:bg-blue-900/20">
+                <CardHeader className="p-4 pb-2">
+                  <CardTitle>{run.status === "cancelled" ? "Stopped Early" : "Final Results"}</CardTitle>
+                </CardHeader>
+                <CardContent className="p-4 pt-0 space-y-2">
+                  <p className="text-sm">
+                    Best score: <span className="font-medium">{run.bestScore}/10</span>
+                    {run.bestRound !== null && ` (round ${run.bestRound})`}
+                    {run.durationMs !== null && ` · ${(run.durationMs / 1000).toFixed(1)}s`}
+                    {run.tokens !== null && ` · ${run.tokens.toLocaleString()} tokens`}
+                  </p>
+                  {run.endReason && <p className="text-sm text-gray-600 dark:text-gray-400">Ended: {run.endReason.message}</p>}
+                  {run.metrics && run.metrics.averageRoundMs !== null && (
+                    <div className="space-y-1">
+                      <p className="text-sm text-gray-600 dark:text-gray-400">
+                        Average per round: {(run.metrics.averageRoundMs / 1000).toFixed(1)}s · generation {((run.metrics.averageGenerationMs ?? 0) / 1000).toFixed(1)}s · review{" "}
+                        {((run.metrics.averageReviewMs ?? 0) / 1000).toFixed(1)}s
+                      </p>
+                      <MetricsLine metrics={run.metrics} />
+                    </div>
+                  )}
+                  {run.rounds.some((round) => round.disagreement?.high) && (
+                    <p className="text-sm text-yellow-700">
+                      Reviewers disagreed in{" "}
+                      {run.rounds
+                        .filter((round) => round.disagreement?.high)
+                        .map((round) => `round ${round.round} (spread ${round.disagreement?.range})`)
+                        .join(", ")}
+                    </p>
+                  )}
+                  <CodeBlock code={run.bestSolution || "// No valid solution generated"} language={run.language} />
+                  {!isLoading && <BranchControls key={run.id} run={run} models={models} onResume={branchRun} />}
+                </CardContent>
+              </Card>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <Card className="border-red-500">
+            <CardContent className="text-red-500 p-4">
+              <div className="flex items-center space-x-2">
+                <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                  <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clipRule="evenodd" />
+                </svg>
+                <span>{error.message}</span>
+              </div>
             </CardContent>
           </Card>
-        ))}
+        )}
       </div>
-
-      {error && (
-        <Card className="border-red-500">
-          <CardContent className="text-red-500 p-4">
-            <div className="flex items-center space-x-2">
-              <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-                <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clipRule="evenodd" />
-              </svg>
-              <span>{error.message}</span>
-            </div>
-          </CardContent>
-        </Card>
-      )}
     </div>
   );
 };
@@ -0,0 +1,49 @@
+import { ScanSearch } from "lucide-react";
+import type { ParseError, StaticAnalysis } from "../lib/api";
+
+interface AnalysisSummaryProps {
+  analysis: StaticAnalysis | null;
+  syntaxRetries: ParseError[];
+}
+
+const describeError = (error: ParseError) => `${error.message}${error.line !== null ? ` (line ${error.line})` : ""}`;
+
+const plural = (count: number, word: string) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// Parse, lint and complexity results shown under a solution; the reviewers get the same facts
+const AnalysisSummary = ({ analysis, syntaxRetries }: AnalysisSummaryProps) => (
+  <div className="mt-2 space-y-1 text-xs text-gray-600 dark:text-gray-400">
+    <p className="flex flex-wrap items-center gap-x-2">
+      <ScanSearch className="w-4 h-4" />
+      {syntaxRetries.length > 0 && (
+        <span className="text-yellow-700" title={syntaxRetries.map(describeError).join("\n")}>
+          Regenerated {syntaxRetries.length === 1 ? "once" : `${syntaxRetries.length} times`} after a syntax error ·
+        </span>
+      )}
+      {!analysis ? (
+        <span>Analyzing…</span>
+      ) : analysis.syntaxError ? (
+        <span className="text-red-600">Doesn't parse: {describeError(analysis.syntaxError)}</span>
+      ) : (
+        <span>
+          <span className={analysis.errors ? "text-red-600" : undefined}>{plural(analysis.errors, "lint error")}</span>, {plural(analysis.warnings, "warning")}
+          {analysis.complexity && analysis.complexity.functions.length > 0 && ` · complexity up to ${analysis.complexity.maxComplexity}, nesting up to ${analysis.complexity.maxDepth}`}
+        </span>
+      )}
+    </p>
+    {analysis && analysis.lint.length > 0 && (
+      <details>
+        <summary className="ml-6 cursor-pointer select-none">Lint findings</summary>
+        <ul className="ml-10 list-disc">
+          {analysis.lint.map((finding, index) => (
+            <li key={index} className={finding.severity === "error" ? "text-red-600" : undefined}>
+              Line {finding.line}: {finding.message} <span className="text-gray-500">({finding.rule ?? "parser"})</span>
+            </li>
+          ))}
+        </ul>
+      </details>
+    )}
+  </div>
+);
+
+export default AnalysisSummary;
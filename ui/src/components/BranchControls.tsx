@@ -0,0 +1,77 @@
+import { useState } from "react";
+import { GitBranch, Play } from "lucide-react";
+import type { ModelsResponse, ResumeParams } from "../lib/api";
+import type { RunView } from "../lib/runView";
+
+interface BranchControlsProps {
+  run: RunView;
+  models: ModelsResponse | null;
+  disabled?: boolean;
+  onResume: (params: ResumeParams) => void;
+}
+
+const MORE_ROUNDS = [1, 2, 3, 4, 5, 6] as const;
+
+/**
+ * Plays more rounds of a finished run: after its last round on the same run,
+ * or from an earlier round as a new branch. The reviewer model can change
+ * for the new rounds.
+ */
+const BranchControls = ({ run, models, disabled, onResume }: BranchControlsProps) => {
+  const [rounds, setRounds] = useState(3);
+  const [fromRound, setFromRound] = useState<number | null>(null);
+  const [reviewerModel, setReviewerModel] = useState("");
+  const played = run.rounds.filter((round) => round.score !== null);
+  const reviewerModels = models?.models.filter((model) => model.reviewer).map((model) => model.name) ?? [];
+  const selectClass = "border rounded-lg p-1 dark:bg-gray-800 dark:border-gray-700";
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span>Play</span>
+      <select value={rounds} onChange={(e) => setRounds(Number(e.target.value))} className={selectClass} disabled={disabled}>
+        {MORE_ROUNDS.map((count) => (
+          <option key={count} value={count}>
+            {count}
+          </option>
+        ))}
+      </select>
+      <span>more {rounds === 1 ? "round" : "rounds"} from</span>
+      <select value={fromRound ?? ""} onChange={(e) => setFromRound(e.target.value ? Number(e.target.value) : null)} className={selectClass} disabled={disabled}>
+        <option value="">the end</option>
+        {played.map((round) => (
+          <option key={round.round} value={round.round}>
+            round {round.round} (new branch)
+          </option>
+        ))}
+      </select>
+      <select value={reviewerModel} onChange={(e) => setReviewerModel(e.target.value)} className={selectClass} disabled={disabled} aria-label="Reviewer model">
+        <option value="">same reviewers</option>
+        {reviewerModels.map((name) => (
+          <option key={name} value={name}>
+            reviewer {name}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={() => onResume({ rounds, ...(fromRound !== null && { fromRound }), ...(reviewerModel && { reviewerModel }) })}
+        disabled={disabled}
+        className="flex items-center px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {fromRound === null ? (
+          <>
+            <Play className="w-4 h-4 mr-1" />
+            Continue
+          </>
+        ) : (
+          <>
+            <GitBranch className="w-4 h-4 mr-1" />
+            Fork
+          </>
+        )}
+      </button>
+    </div>
+  );
+};
+
+export default BranchControls;
@@ -0,0 +1,196 @@
+import { useEffect, useState } from "react";
+import { GitCompare, Loader2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { cn } from "../lib/utils";
+import { getDiff, type DiffLine, type SolutionDiff } from "../lib/api";
+import type { RunView } from "../lib/runView";
+
+const DIFF_MODES = [
+  { value: "unified", label: "Unified" },
+  { value: "split", label: "Side by side" },
+] as const;
+
+type DiffMode = (typeof DIFF_MODES)[number]["value"];
+
+const LINE_STYLES: Record<DiffLine["type"], { row: string; changed: string; marker: string }> = {
+  equal: { row: "", changed: "", marker: " " },
+  remove: { row: "bg-red-50 dark:bg-red-900/20", changed: "bg-red-200 dark:bg-red-800/60", marker: "-" },
+  add: { row: "bg-green-50 dark:bg-green-900/20", changed: "bg-green-200 dark:bg-green-800/60", marker: "+" },
+};
+
+const LineText = ({ line }: { line: DiffLine }) => (
+  <>
+    {line.segments
+      ? line.segments.map((segment, index) =>
+          segment.changed ? (
+            <mark key={index} className={cn("text-inherit", LINE_STYLES[line.type].changed)}>
+              {segment.text}
+            </mark>
+          ) : (
+            segment.text
+          )
+        )
+      : line.text}
+  </>
+);
+
+const LineNumber = ({ value }: { value: number | null }) => <td className="select-none px-2 text-right text-gray-400 align-top">{value ?? ""}</td>;
+
+const UnifiedDiff = ({ lines }: { lines: DiffLine[] }) => (
+  <tbody>
+    {lines.map((line, index) => (
+      <tr key={index} className={LINE_STYLES[line.type].row}>
+        <LineNumber value={line.oldLine} />
+        <LineNumber value={line.newLine} />
+        <td className="whitespace-pre pr-4">
+          <span className="select-none text-gray-400">{LINE_STYLES[line.type].marker} </span>
+          <LineText line={line} />
+        </td>
+      </tr>
+    ))}
+  </tbody>
+);
+
+// Each change's removals sit next to its additions, in order
+const sideBySide = (lines: DiffLine[]) => {
+  const rows: [DiffLine | null, DiffLine | null][] = [];
+  let removed: DiffLine[] = [];
+  let added: DiffLine[] = [];
+  const flush = () => {
+    for (let index = 0; index < Math.max(removed.length, added.length); index++) rows.push([removed[index] ?? null, added[index] ?? null]);
+    removed = [];
+    added = [];
+  };
+  for (const line of lines) {
+    if (line.type === "remove") removed.push(line);
+    else if (line.type === "add") added.push(line);
+    else {
+      flush();
+      rows.push([line, line]);
+    }
+  }
+  flush();
+  return rows;
+};
+
+const SplitCell = ({ line, side }: { line: DiffLine | null; side: "oldLine" | "newLine" }) => (
+  <>
+    <LineNumber value={line?.[side] ?? null} />
+    <td className={cn("w-1/2 whitespace-pre pr-4", line ? LINE_STYLES[line.type].row : "bg-gray-50 dark:bg-gray-800/40")}>{line && <LineText line={line} />}</td>
+  </>
+);
+
+const SplitDiff = ({ lines }: { lines: DiffLine[] }) => (
+  <tbody>
+    {sideBySide(lines).map(([before, after], index) => (
+      <tr key={index}>
+        <SplitCell line={before} side="oldLine" />
+        <SplitCell line={after} side="newLine" />
+      </tr>
+    ))}
+  </tbody>
+);
+
+/**
+ * Compares the solutions of two finished rounds, or a round with the run's
+ * best solution. Consecutive rounds and saved best diffs come with the run;
+ * any other pair is fetched from the server.
+ */
+const DiffViewer = ({ run }: { run: RunView }) => {
+  const finished = run.rounds.filter((round) => round.score !== null);
+  const [selection, setSelection] = useState<{ from: number; to: number | "best" } | null>(null);
+  const [mode, setMode] = useState<DiffMode>("unified");
+  const [fetched, setFetched] = useState<{ key: string; diff: SolutionDiff | null; error: string | null } | null>(null);
+
+  // Until a pair is picked, follow the latest change
+  const last = finished.at(-1)?.round ?? 0;
+  const from = selection?.from ?? last - 1;
+  const to = selection?.to ?? last;
+  const target = to === "best" ? null : finished.find((round) => round.round === to);
+  const source = finished.find((round) => round.round === from);
+  const local = to === "best" ? source?.diffToBest : from === to - 1 ? target?.diff : null;
+  const key = `${run.id}:${from}:${to}:${to === "best" ? run.bestRound : ""}`;
+  const needsFetch = !local && finished.length >= 2 && Boolean(source) && (to === "best" ? Boolean(run.bestSolution) : Boolean(target));
+
+  useEffect(() => {
+    if (!needsFetch) return;
+    let cancelled = false;
+    getDiff(run.id, from, to)
+      .then((diff) => !cancelled && setFetched({ key, diff, error: null }))
+      .catch((error) => !cancelled && setFetched({ key, diff: null, error: error instanceof Error ? error.message : "Failed to load the diff" }));
+    return () => {
+      cancelled = true;
+    };
+  }, [needsFetch, key, run.id, from, to]);
+
+  if (finished.length < 2) return null;
+
+  const diff = local ?? (fetched?.key === key ? fetched.diff : null);
+  const error = !local && fetched?.key === key ? fetched.error : null;
+  const selectClass = "border rounded-lg p-1 dark:bg-gray-800 dark:border-gray-700";
+
+  return (
+    <Card>
+      <CardHeader className="p-4 pb-2">
+        <CardTitle className="flex items-center text-base">
+          <GitCompare className="w-4 h-4 mr-2" />
+          Solution changes
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="p-4 pt-0 space-y-2">
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span>Round</span>
+          <select value={from} onChange={(e) => setSelection({ from: Number(e.target.value), to })} className={selectClass}>
+            {finished.map((round) => (
+              <option key={round.round} value={round.round}>
+                {round.round}
+              </option>
+            ))}
+          </select>
+          <span>to</span>
+          <select value={to} onChange={(e) => setSelection({ from, to: e.target.value === "best" ? "best" : Number(e.target.value) })} className={selectClass}>
+            {finished.map((round) => (
+              <option key={round.round} value={round.round}>
+                round {round.round}
+              </option>
+            ))}
+            {run.bestSolution && <option value="best">best{run.bestRound !== null && ` (round ${run.bestRound})`}</option>}
+          </select>
+          <div className="ml-auto flex rounded-lg border dark:border-gray-700 overflow-hidden">
+            {DIFF_MODES.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setMode(option.value)}
+                className={cn("px-2 py-1", mode === option.value ? "bg-blue-600 text-white" : "hover:bg-gray-100 dark:hover:bg-gray-800")}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        {error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : !diff ? (
+          <p className="flex items-center text-sm text-gray-500">
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            Comparing…
+          </p>
+        ) : (
+          <>
+            <p className="text-xs text-gray-500">
+              <span className="text-green-600">+{diff.added}</span> <span className="text-red-600">−{diff.removed}</span> · {diff.unchanged} unchanged
+            </p>
+            {diff.added + diff.removed > 0 && (
+              <div className="max-h-[32rem] overflow-auto rounded-lg border dark:border-gray-700">
+                <table className="w-full border-collapse font-mono text-xs">{mode === "unified" ? <UnifiedDiff lines={diff.lines} /> : <SplitDiff lines={diff.lines} />}</table>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DiffViewer;
@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { Check, Loader2, MessageSquare, Send } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { submitFeedback } from "../lib/api";
+import type { RoundView } from "../lib/runView";
+
+interface FeedbackBoxProps {
+  runId: string;
+  round: RoundView;
+}
+
+/**
+ * Shown while an interactive run waits after a round's review. The note goes
+ * to the solver next round alongside the review, and the score, when given,
+ * replaces the round's.
+ */
+const FeedbackBox = ({ runId, round }: FeedbackBoxProps) => {
+  const [feedback, setFeedback] = useState("");
+  const [score, setScore] = useState("");
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const scoreValue = score === "" ? null : Number(score);
+  const scoreInvalid = scoreValue !== null && !(scoreValue >= 0 && scoreValue <= 10);
+  const minutes = Math.round((round.awaitingFeedback?.timeoutMs ?? 0) / 60000);
+
+  const send = async (accept: boolean) => {
+    setSending(true);
+    setError(null);
+    try {
+      await submitFeedback(runId, { round: round.round, ...(!accept && { ...(feedback.trim() && { feedback: feedback.trim() }), ...(scoreValue !== null && { score: scoreValue }) }) });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to send feedback");
+      setSending(false);
+    }
+  };
+
+  return (
+    <Card className="overflow-hidden border-l-4 border-amber-500 bg-amber-50 dark:bg-amber-900/20">
+      <CardHeader className="p-4 pb-2">
+        <CardTitle className="flex items-center text-sm">
+          <MessageSquare className="w-4 h-4 mr-2" />
+          Your review of round {round.round}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="p-4 pt-0 space-y-3">
+        <p className="text-xs text-gray-600 dark:text-gray-400">
+          The run is paused. Notes go to the solver with the reviewer's feedback and take priority over it; the model review stands after {minutes} {minutes === 1 ? "minute" : "minutes"} without an
+          answer.
+        </p>
+        <textarea
+          value={feedback}
+          onChange={(e) => setFeedback(e.target.value)}
+          placeholder="e.g. Must run in O(n) and must not use Array.prototype.reverse"
+          rows={3}
+          disabled={sending}
+          className="w-full p-2 text-sm border rounded-lg dark:bg-gray-800 dark:border-gray-700"
+        />
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label htmlFor="score-override">Score</label>
+          <input
+            id="score-override"
+            type="number"
+            min={0}
+            max={10}
+            step={0.5}
+            value={score}
+            onChange={(e) => setScore(e.target.value)}
+            placeholder={round.score?.toString() ?? ""}
+            disabled={sending}
+            className="w-20 border rounded-lg p-1 dark:bg-gray-800 dark:border-gray-700"
+          />
+          <span className="text-gray-500">/10 (leave empty to keep the model's)</span>
+          <div className="flex-1" />
+          <button
+            type="button"
+            onClick={() => send(true)}
+            disabled={sending}
+            className="flex items-center px-3 py-1 border rounded-lg hover:bg-gray-100 dark:border-gray-700 dark:hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Check className="w-4 h-4 mr-1" />
+            Accept review
+          </button>
+          <button
+            type="button"
+            onClick={() => send(false)}
+            disabled={sending || scoreInvalid || (!feedback.trim() && scoreValue === null)}
+            className="flex items-center px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {sending ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Send className="w-4 h-4 mr-1" />}
+            Send feedback
+          </button>
+        </div>
+        {scoreInvalid && <p className="text-xs text-red-600">Score must be between 0 and 10.</p>}
+        {error && <p className="text-xs text-red-600">{error}</p>}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default FeedbackBox;
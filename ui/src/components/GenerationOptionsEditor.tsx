@@ -0,0 +1,64 @@
+const FIELDS = [
+  { name: "temperature", label: "Temperature", min: 0, max: 2, step: 0.1 },
+  { name: "top_p", label: "Top P", min: 0, max: 1, step: 0.05 },
+  { name: "seed", label: "Seed", min: 0, max: 2 ** 31 - 1, step: 1 },
+  { name: "num_ctx", label: "Context", min: 256, max: 131072, step: 256 },
+  { name: "num_predict", label: "Max tokens", min: -1, max: 32768, step: 1 },
+] as const;
+
+type OptionName = (typeof FIELDS)[number]["name"];
+
+// Inputs as typed; empty means the model server's default
+export type RoleOptionsDraft = Record<OptionName, string>;
+
+export interface GenerationOptionsDraft {
+  solver: RoleOptionsDraft;
+  reviewer: RoleOptionsDraft;
+  deterministic: boolean;
+}
+
+interface GenerationOptionsEditorProps {
+  options: GenerationOptionsDraft;
+  disabled?: boolean;
+  onChange: (options: GenerationOptionsDraft) => void;
+}
+
+const GenerationOptionsEditor = ({ options, disabled, onChange }: GenerationOptionsEditorProps) => {
+  const update = (role: "solver" | "reviewer", name: OptionName, value: string) => onChange({ ...options, [role]: { ...options[role], [name]: value } });
+  const isSet = options.deterministic || [options.solver, options.reviewer].some((role) => Object.values(role).some((value) => value.trim()));
+
+  return (
+    <details className="text-sm">
+      <summary className="cursor-pointer font-medium">Advanced{isSet && <span className="ml-2 font-normal text-gray-500">(custom sampling)</span>}</summary>
+      <div className="mt-2 space-y-2">
+        {(["solver", "reviewer"] as const).map((role) => (
+          <div key={role} className="flex flex-wrap items-center gap-x-4 gap-y-2">
+            <span className="w-16 font-medium capitalize">{role}:</span>
+            {FIELDS.map((field) => (
+              <label key={field.name} className="flex items-center space-x-1">
+                <span>{field.label}</span>
+                <input
+                  type="number"
+                  min={field.min}
+                  max={field.max}
+                  step={field.step}
+                  value={options[role][field.name]}
+                  onChange={(e) => update(role, field.name, e.target.value)}
+                  placeholder="default"
+                  className="w-24 border rounded-lg p-1 dark:bg-gray-800 dark:border-gray-700"
+                  disabled={disabled}
+                />
+              </label>
+            ))}
+          </div>
+        ))}
+        <label className="flex items-center space-x-1">
+          <input type="checkbox" checked={options.deterministic} onChange={(e) => onChange({ ...options, deterministic: e.target.checked })} disabled={disabled} />
+          <span>Deterministic: fix the seed of every model call so the same request replays the same run</span>
+        </label>
+      </div>
+    </details>
+  );
+};
+
+export default GenerationOptionsEditor;
@@ -0,0 +1,127 @@
+import { useCallback, useEffect, useState } from "react";
+import { Download, RefreshCcw } from "lucide-react";
+import { cn } from "../lib/utils";
+import { getHealth, hostLabel, type Health, type HostHealth } from "../lib/api";
+import ModelPullDialog from "./ModelPullDialog";
+
+const POLL_INTERVAL_MS = 30000;
+
+const STATUS_STYLES: Record<Health["status"] | "unknown", { dot: string; label: string }> = {
+  ok: { dot: "bg-green-500", label: "Hosts up" },
+  degraded: { dot: "bg-yellow-500", label: "Hosts degraded" },
+  down: { dot: "bg-red-500", label: "Host down" },
+  unknown: { dot: "bg-gray-400", label: "Server unreachable" },
+};
+
+// The header's first problem is specific, e.g. which host is down or which model it lacks
+const summary = (health: Health) => {
+  const down = health.hosts.find((host) => !host.reachable && host.required.length && !host.fallback);
+  if (down) return health.status === "down" ? `${hostLabel(down)} down` : `${hostLabel(down)} down, using fallback`;
+  const missing = health.hosts.find((host) => host.missing.length);
+  if (missing) return `${hostLabel(missing)} missing ${missing.missing[0]}`;
+  return STATUS_STYLES[health.status].label;
+};
+
+const HostDetails = ({ host }: { host: HostHealth }) => (
+  <li className="space-y-0.5">
+    <p className="flex items-center space-x-2">
+      <span className={cn("w-2 h-2 rounded-full", !host.reachable ? "bg-red-500" : host.missing.length ? "bg-yellow-500" : "bg-green-500")} />
+      <span className="font-medium">{hostLabel(host)}</span>
+      <span className="text-gray-500 truncate">{host.url}</span>
+    </p>
+    {host.reachable ? (
+      <p className="ml-4 text-gray-600 dark:text-gray-400">
+        {host.provider}
+        {host.version && ` ${host.version}`} · {host.latencyMs}ms
+        {host.loaded && ` · loaded: ${host.loaded.length ? host.loaded.map((model) => model.name).join(", ") : "none"}`}
+      </p>
+    ) : (
+      <p className="ml-4 text-red-600">{host.error}</p>
+    )}
+    {host.reachable && host.missing.length > 0 && <p className="ml-4 text-yellow-700">Missing: {host.missing.join(", ")}</p>}
+  </li>
+);
+
+const HealthIndicator = () => {
+  const [health, setHealth] = useState<Health | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [open, setOpen] = useState(false);
+  const [pulling, setPulling] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      setHealth(await getHealth());
+      setError(null);
+    } catch (healthError) {
+      setHealth(null);
+      setError(healthError instanceof Error ? healthError.message : "Health check failed");
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  const style = STATUS_STYLES[health?.status ?? "unknown"];
+
+  return (
+    <div className="relative">
+      <button type="button" onClick={() => setOpen(!open)} className="flex items-center space-x-2" title={health?.problems.join("\n") || error || undefined}>
+        <div className={cn("w-2 h-2 rounded-full", style.dot)} />
+        <span className="text-sm text-gray-600 dark:text-gray-400">{health ? summary(health) : style.label}</span>
+      </button>
+      {open && (
+        <div className="absolute right-0 z-10 mt-2 w-96 max-w-[90vw] space-y-2 rounded-lg border bg-white p-3 text-xs shadow-lg dark:border-gray-700 dark:bg-gray-900">
+          <div className="flex items-center justify-between">
+            <span className="font-medium">Model hosts</span>
+            <button type="button" onClick={refresh} className="flex items-center text-blue-600 hover:underline">
+              <RefreshCcw className="w-3 h-3 mr-1" />
+              Check again
+            </button>
+          </div>
+          {error && <p className="text-red-600">{error}</p>}
+          {health && (
+            <>
+              <ul className="space-y-2">
+                {health.hosts.map((host) => (
+                  <HostDetails key={`${host.role}-${host.name}`} host={host} />
+                ))}
+              </ul>
+              {health.problems.length > 0 && (
+                <ul className="list-disc ml-4 text-gray-600 dark:text-gray-400">
+                  {health.problems.map((problem) => (
+                    <li key={problem}>{problem}</li>
+                  ))}
+                </ul>
+              )}
+              {health.runs.length > 0 && (
+                <div>
+                  <p className="font-medium">Active runs</p>
+                  <ul className="space-y-0.5">
+                    {health.runs.map((run) => (
+                      <li key={run.id} className="truncate text-gray-600 dark:text-gray-400">
+                        {run.phase ? `${run.phase.description}${run.phase.round ? ` (round ${run.phase.round}/${run.maxRounds})` : ""}` : run.status} · {run.problem}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              <div className="flex items-center justify-between">
+                <span className="text-gray-500">Checked {new Date(health.checkedAt).toLocaleTimeString()}</span>
+                <button type="button" onClick={() => setPulling(true)} className="flex items-center text-blue-600 hover:underline">
+                  <Download className="w-3 h-3 mr-1" />
+                  Pull models…
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+      {pulling && health && <ModelPullDialog hosts={health.hosts} onClose={() => setPulling(false)} onPulled={refresh} />}
+    </div>
+  );
+};
+
+export default HealthIndicator;
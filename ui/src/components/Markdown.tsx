@@ -0,0 +1,30 @@
+import remarkGfm from "remark-gfm";
+import ReactMarkdown from "react-markdown";
+import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
+import { vscDarkPlus } from "react-syntax-highlighter/dist/esm/styles/prism";
+
+export const CodeBlock = ({ code, language = "javascript" }: { code: string; language?: string }) => (
+  <SyntaxHighlighter language={language} style={vscDarkPlus} PreTag="div" className="rounded-lg">
+    {code.replace(/\n$/, "")}
+  </SyntaxHighlighter>
+);
+
+const Markdown = ({ children }: { children: string }) => (
+  <ReactMarkdown
+    remarkPlugins={[remarkGfm]}
+    components={{
+      code({ className, children }) {
+        const match = /language-(\w+)/.exec(className || "");
+        const isBlock = Boolean(match) || String(children).includes("\n");
+        return isBlock ? <CodeBlock code={String(children)} language={match ? match[1] : "javascript"} /> : <code className="bg-gray-100 dark:bg-gray-800 px-1 rounded">{children}</code>;
+      },
+      table: ({ children }) => <table className="my-2 text-sm border-collapse">{children}</table>,
+      th: ({ children }) => <th className="border px-2 py-1 text-left font-medium dark:border-gray-700">{children}</th>,
+      td: ({ children }) => <td className="border px-2 py-1 dark:border-gray-700">{children}</td>,
+    }}
+  >
+    {children}
+  </ReactMarkdown>
+);
+
+export default Markdown;
@@ -0,0 +1,22 @@
+import { Gauge } from "lucide-react";
+import type { PhaseMetrics, RoundMetrics } from "../lib/api";
+
+const seconds = (ms: number) => `${(ms / 1000).toFixed(1)}s`;
+
+const describe = (role: string, phase: PhaseMetrics) => {
+  const parts = [`${phase.estimated ? "~" : ""}${(phase.promptTokens + phase.completionTokens).toLocaleString()} tokens`];
+  if (phase.tokensPerSecond !== null) parts.push(`${phase.tokensPerSecond} tok/s`);
+  if (phase.loadMs) parts.push(`load ${seconds(phase.loadMs)}`);
+  parts.push(`${seconds(phase.wallMs)} over ${phase.calls} ${phase.calls === 1 ? "call" : "calls"}`);
+  return `${role} ${parts.join(", ")}`;
+};
+
+// Token and speed numbers of a round or a whole run; "~" marks token counts estimated from the output length
+const MetricsLine = ({ metrics }: { metrics: RoundMetrics }) => (
+  <p className="flex flex-wrap items-center gap-x-2 text-xs text-gray-500">
+    <Gauge className="w-4 h-4" />
+    {[metrics.solver.calls > 0 && describe("Solver", metrics.solver), metrics.reviewer.calls > 0 && describe("Reviewer", metrics.reviewer)].filter(Boolean).join(" · ")}
+  </p>
+);
+
+export default MetricsLine;
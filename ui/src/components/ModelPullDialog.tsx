@@ -0,0 +1,147 @@
+import { useRef, useState } from "react";
+import { CheckCircle2, Download, Loader2, X, XCircle } from "lucide-react";
+import { hostLabel, pullModels, type HostHealth, type PullEvent } from "../lib/api";
+
+interface PullState {
+  status: string;
+  percent: number | null;
+  done: boolean;
+  error: string | null;
+}
+
+interface ModelPullDialogProps {
+  hosts: HostHealth[];
+  onClose: () => void;
+  // Called once a pull finishes, so the caller can re-check the hosts
+  onPulled: () => void;
+}
+
+// Hosts missing a model start selected, with the first missing model filled in
+const ModelPullDialog = ({ hosts, onClose, onPulled }: ModelPullDialogProps) => {
+  const pullable = hosts.filter((host) => host.provider.startsWith("ollama") || host.provider === "mock");
+  const missing = pullable.filter((host) => host.missing.length);
+  const [selected, setSelected] = useState<string[]>((missing.length ? missing : pullable).map((host) => host.name));
+  const [model, setModel] = useState(missing[0]?.missing[0] ?? "");
+  const [progress, setProgress] = useState<Record<string, PullState>>({});
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const controller = useRef<AbortController | null>(null);
+
+  const toggle = (name: string) => setSelected(selected.includes(name) ? selected.filter((entry) => entry !== name) : [...selected, name]);
+
+  const handleEvent = (event: PullEvent) => {
+    if (event.type === "done" || !event.host) {
+      if (event.type === "error") setError(event.message);
+      return;
+    }
+    const host = event.host;
+    setProgress((current) => {
+      const previous = current[host] ?? { status: "", percent: null, done: false, error: null };
+      if (event.type === "pull_progress") return { ...current, [host]: { ...previous, status: event.status, percent: event.percent ?? previous.percent } };
+      if (event.type === "pull_complete") return { ...current, [host]: { ...previous, status: `done in ${(event.durationMs / 1000).toFixed(1)}s`, percent: 100, done: true } };
+      return { ...current, [host]: { ...previous, done: true, error: event.message } };
+    });
+  };
+
+  const start = async () => {
+    setRunning(true);
+    setError(null);
+    setProgress({});
+    controller.current = new AbortController();
+    try {
+      await pullModels({ hosts: selected, ...(model.trim() && { model: model.trim() }) }, handleEvent, controller.current.signal);
+      onPulled();
+    } catch (pullError) {
+      if (!controller.current.signal.aborted) {
+        setError(pullError instanceof Error ? pullError.message : "Pull failed");
+      }
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const close = () => {
+    controller.current?.abort();
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-black/40 p-4" onClick={close}>
+      <div className="w-full max-w-lg space-y-4 rounded-lg bg-white p-4 text-sm shadow-xl dark:bg-gray-900" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between">
+          <h2 className="flex items-center font-semibold">
+            <Download className="w-4 h-4 mr-2" />
+            Pull models
+          </h2>
+          <button type="button" onClick={close} aria-label="Close" className="text-gray-500 hover:text-gray-700">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {pullable.length === 0 ? (
+          <p className="text-gray-500">None of the configured hosts can pull models.</p>
+        ) : (
+          <>
+            <ul className="space-y-2">
+              {pullable.map((host) => {
+                const state = progress[host.name];
+                return (
+                  <li key={host.name} className="space-y-1">
+                    <label className="flex items-center space-x-2">
+                      <input type="checkbox" checked={selected.includes(host.name)} onChange={() => toggle(host.name)} disabled={running} />
+                      <span className="font-medium">{hostLabel(host)}</span>
+                      <span className="text-gray-500 truncate">{host.url}</span>
+                      {host.missing.length > 0 && <span className="text-yellow-700">missing {host.missing.join(", ")}</span>}
+                    </label>
+                    {state && (
+                      <div className="ml-6 space-y-1">
+                        <p className="flex items-center space-x-1 text-xs text-gray-600 dark:text-gray-400">
+                          {state.error ? <XCircle className="w-3 h-3 text-red-500" /> : state.done ? <CheckCircle2 className="w-3 h-3 text-green-500" /> : <Loader2 className="w-3 h-3 animate-spin" />}
+                          <span>{state.error ?? `${state.status}${state.percent !== null && !state.done ? ` · ${state.percent}%` : ""}`}</span>
+                        </p>
+                        {state.percent !== null && (
+                          <div className="h-1.5 rounded bg-gray-200 dark:bg-gray-700">
+                            <div className={`h-1.5 rounded ${state.error ? "bg-red-500" : "bg-blue-600"}`} style={{ width: `${state.percent}%` }} />
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+            <label className="flex items-center space-x-2">
+              <span>Model:</span>
+              <input
+                value={model}
+                onChange={(e) => setModel(e.target.value)}
+                placeholder="each host's configured model"
+                className="flex-1 border rounded-lg p-1 dark:bg-gray-800 dark:border-gray-700"
+                disabled={running}
+              />
+            </label>
+          </>
+        )}
+
+        {error && <p className="text-red-600">{error}</p>}
+
+        <div className="flex justify-end space-x-2">
+          <button type="button" onClick={close} className="px-3 py-1.5 rounded-lg border dark:border-gray-700">
+            {running ? "Cancel" : "Close"}
+          </button>
+          <button
+            type="button"
+            onClick={start}
+            disabled={running || !selected.length}
+            className="flex items-center px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {running ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+            Pull
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModelPullDialog;
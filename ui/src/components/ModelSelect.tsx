@@ -0,0 +1,37 @@
+import type { ModelsResponse } from "../lib/api";
+
+interface ModelSelectProps {
+  id: string;
+  label: string;
+  role: "solver" | "reviewer";
+  value: string;
+  models: ModelsResponse | null;
+  disabled?: boolean;
+  onChange: (model: string) => void;
+}
+
+const ModelSelect = ({ id, label, role, value, models, disabled, onChange }: ModelSelectProps) => {
+  const host = models?.[role];
+  const names = models?.models.filter((model) => model[role]).map((model) => model.name) ?? [];
+  // Keep the current choice selectable even when the host is down or doesn't list it
+  const options = value && !names.includes(value) ? [value, ...names] : names;
+
+  return (
+    <div className="flex items-center space-x-2">
+      <label htmlFor={id} className="text-sm font-medium">
+        {label}:
+      </label>
+      <select id={id} value={value} onChange={(e) => onChange(e.target.value)} className="border rounded-lg p-1 dark:bg-gray-800" disabled={disabled}>
+        {options.map((name) => (
+          <option key={name} value={name}>
+            {name}
+            {host?.available && !host.models.includes(name) ? " (not installed)" : ""}
+          </option>
+        ))}
+      </select>
+      {host && !host.available && <span className="text-xs text-red-500">offline</span>}
+    </div>
+  );
+};
+
+export default ModelSelect;
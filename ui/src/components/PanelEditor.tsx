@@ -0,0 +1,100 @@
+import { Plus, X } from "lucide-react";
+import { AGGREGATIONS, PERSONA_PRESETS, type Aggregation, type ModelsResponse } from "../lib/api";
+
+export interface PanelDraft {
+  host: string;
+  model: string;
+  persona: string;
+}
+
+interface PanelEditorProps {
+  panel: PanelDraft[];
+  aggregation: Aggregation;
+  models: ModelsResponse | null;
+  disabled?: boolean;
+  onChange: (panel: PanelDraft[]) => void;
+  onAggregationChange: (aggregation: Aggregation) => void;
+}
+
+// An empty panel leaves the choice to the server's REVIEW_PANEL default
+const PanelEditor = ({ panel, aggregation, models, disabled, onChange, onAggregationChange }: PanelEditorProps) => {
+  const hosts = models?.reviewerHosts ?? [];
+  const update = (index: number, change: Partial<PanelDraft>) => onChange(panel.map((member, current) => (current === index ? { ...member, ...change } : member)));
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium">Review panel:</span>
+        {!panel.length && <span className="text-sm text-gray-500">server default</span>}
+        <button
+          type="button"
+          onClick={() => onChange([...panel, { host: "reviewer", model: "", persona: "" }])}
+          disabled={disabled}
+          className="flex items-center text-sm text-blue-600 hover:underline disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add reviewer
+        </button>
+        {panel.length > 1 && (
+          <>
+            <label htmlFor="aggregation" className="text-sm font-medium">
+              Combine:
+            </label>
+            <select id="aggregation" value={aggregation} onChange={(e) => onAggregationChange(e.target.value as Aggregation)} className="border rounded-lg p-1 dark:bg-gray-800" disabled={disabled}>
+              {AGGREGATIONS.map((entry) => (
+                <option key={entry.value} value={entry.value}>
+                  {entry.label}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+      </div>
+
+      {panel.map((member, index) => {
+        const host = hosts.find((entry) => entry.name === member.host);
+        return (
+          <div key={index} className="flex flex-wrap items-center gap-2">
+            {hosts.length > 1 && (
+              <select value={member.host} onChange={(e) => update(index, { host: e.target.value, model: "" })} className="border rounded-lg p-1 dark:bg-gray-800" disabled={disabled}>
+                {hosts.map((entry) => (
+                  <option key={entry.name} value={entry.name}>
+                    {entry.name}
+                    {entry.available ? "" : " (offline)"}
+                  </option>
+                ))}
+              </select>
+            )}
+            <select value={member.model} onChange={(e) => update(index, { model: e.target.value })} className="border rounded-lg p-1 dark:bg-gray-800" disabled={disabled}>
+              <option value="">Default model</option>
+              {host?.models.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            <input
+              list="persona-presets"
+              value={member.persona}
+              onChange={(e) => update(index, { persona: e.target.value })}
+              placeholder="Persona (optional)"
+              className="border rounded-lg p-1 text-sm dark:bg-gray-800 dark:border-gray-700"
+              disabled={disabled}
+            />
+            <button type="button" onClick={() => onChange(panel.filter((_, current) => current !== index))} disabled={disabled} className="text-gray-500 hover:text-red-500" title="Remove reviewer">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        );
+      })}
+
+      <datalist id="persona-presets">
+        {PERSONA_PRESETS.map((persona) => (
+          <option key={persona} value={persona} />
+        ))}
+      </datalist>
+    </div>
+  );
+};
+
+export default PanelEditor;
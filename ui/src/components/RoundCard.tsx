@@ -0,0 +1,292 @@
+import { AlertTriangle, Brain, CheckCircle2, Loader2, RotateCcw, Star, Trophy, UserRound, Users, XCircle } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import Markdown, { CodeBlock } from "./Markdown";
+import MetricsLine from "./MetricsLine";
+import AnalysisSummary from "./AnalysisSummary";
+import { winningCandidate, type CandidateView, type ReviewerView, type RoundView } from "../lib/runView";
+import { AGGREGATIONS, RANKING_METHODS, type Aggregation, type CandidateRanking, type Language, type RankingEntry, type RubricReview, type TestOutcome } from "../lib/api";
+
+interface RoundCardProps {
+  round: RoundView;
+  maxRounds: number;
+  isBest: boolean;
+  aggregation: Aggregation;
+  language: Language;
+  candidateCount: number;
+}
+
+const TestResults = ({ tests }: { tests: TestOutcome }) =>
+  tests.check === "syntax" ? (
+    <p className="text-sm text-red-500 whitespace-pre-wrap">Syntax check failed: {tests.error}</p>
+  ) : (
+    <div className="space-y-2">
+      <p className="text-sm font-medium">
+        Tests: {tests.passed}/{tests.total} passed · {tests.durationMs}ms
+      </p>
+      {!tests.loaded ? (
+        <p className="text-sm text-red-500">Solution failed to run: {tests.error}</p>
+      ) : (
+        <ul className="text-sm space-y-1">
+          {tests.results.map((result) => (
+            <li key={result.name} className="flex items-start space-x-2">
+              {result.passed ? <CheckCircle2 className="w-4 h-4 mt-0.5 text-green-500 shrink-0" /> : <XCircle className="w-4 h-4 mt-0.5 text-red-500 shrink-0" />}
+              <span className="min-w-0">
+                <code className="bg-gray-100 dark:bg-gray-800 px-1 rounded">{result.input}</code> expected <code>{result.expected}</code>
+                {!result.passed && <> got {result.error ? <span className="text-red-500">{result.error}</span> : <code>{result.actual}</code>}</>}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+
+const Thinking = ({ text }: { text: string }) => (
+  <details className="mb-2 rounded-lg bg-white/60 dark:bg-gray-800/60 text-sm">
+    <summary className="flex items-center cursor-pointer select-none p-2 text-gray-600 dark:text-gray-400">
+      <Brain className="w-4 h-4 mr-2" />
+      Thinking
+    </summary>
+    <p className="whitespace-pre-wrap px-2 pb-2 text-gray-600 dark:text-gray-400">{text.trim()}</p>
+  </details>
+);
+
+const RUBRIC_SOURCE_NOTES: Record<Exclude<RubricReview["source"], "json">, string> = {
+  retry: "Reviewer needed a retry to return a valid rubric",
+  fallback: "Reviewer never returned a valid rubric; scores were read from its text",
+  unparsed: "Reviewer output could not be scored",
+};
+
+const RubricWarning = ({ rubric }: { rubric: RubricReview }) => (
+  <p className="flex items-start space-x-2 text-xs text-yellow-700" title={rubric.errors.join("\n")}>
+    <AlertTriangle className="w-4 h-4 shrink-0" />
+    <span>{RUBRIC_SOURCE_NOTES[rubric.source as keyof typeof RUBRIC_SOURCE_NOTES]}</span>
+  </p>
+);
+
+const pendingReview: ReviewerView = { reviewer: 0, name: "", review: "", rubric: null, thinking: "", complete: false, error: null };
+
+const ReviewCard = ({ review, titled }: { review: ReviewerView; titled: boolean }) => (
+  <Card className="overflow-hidden border-l-4 border-purple-500 bg-purple-50 dark:bg-purple-900/20">
+    <CardHeader className="p-4 pb-2">
+      <CardTitle className="flex items-center text-sm">
+        {titled ? `Review · ${review.name}` : "Review"}
+        {titled && review.rubric && <span className="ml-2 font-normal text-gray-500">{review.rubric.total}/10</span>}
+        {!review.complete && <Loader2 className="w-4 h-4 ml-2 animate-spin" />}
+      </CardTitle>
+    </CardHeader>
+    <CardContent className="p-4 pt-0 space-y-4">
+      {review.thinking && <Thinking text={review.thinking} />}
+      {review.error ? (
+        <p className="text-sm text-red-500">Review failed: {review.error}</p>
+      ) : !review.review ? (
+        <p className="text-sm text-gray-500">Reviewing…</p>
+      ) : review.complete ? (
+        <Markdown>{review.review}</Markdown>
+      ) : (
+        // Raw JSON until the server has validated and rendered the review
+        <pre className="whitespace-pre-wrap break-all text-xs text-gray-600 dark:text-gray-400">{review.review}</pre>
+      )}
+      {review.rubric && review.rubric.source !== "json" && <RubricWarning rubric={review.rubric} />}
+      {review.fromRanking && <p className="text-xs text-gray-500">Written while ranking the candidates</p>}
+    </CardContent>
+  </Card>
+);
+
+const pendingCandidate: CandidateView = { candidate: 0, solution: "", thinking: "", commentary: "", temperature: null, seed: null, analysis: null, syntaxRetries: [], complete: false, error: null };
+
+const rankLabel = (entry: RankingEntry) => (entry.score !== undefined ? `${entry.score}/10` : `${entry.wins} ${entry.wins === 1 ? "win" : "wins"}`);
+
+interface CandidateCardProps {
+  candidate: CandidateView;
+  language: Language;
+  titled: boolean;
+  rank?: RankingEntry & { position: number };
+  isWinner: boolean;
+}
+
+const CandidateCard = ({ candidate, language, titled, rank, isWinner }: CandidateCardProps) => {
+  const code = candidate.solution ? (
+    <CodeBlock code={candidate.solution} language={language} />
+  ) : (
+    <p className="text-sm text-gray-500">{candidate.complete ? "No code in the response" : "Generating…"}</p>
+  );
+
+  return (
+    <Card className={`overflow-hidden border-l-4 bg-green-50 dark:bg-green-900/20 ${rank && !isWinner ? "border-gray-300 opacity-75" : "border-green-500"}`}>
+      <CardHeader className="p-4 pb-2">
+        <CardTitle className="flex items-center text-sm">
+          {titled ? `Candidate ${candidate.candidate + 1}` : "Solution"}
+          {candidate.temperature !== null && <span className="ml-2 font-normal text-gray-500">temperature {candidate.temperature}</span>}
+          {rank && (
+            <span className="ml-2 font-normal text-gray-500">
+              #{rank.position} · {rankLabel(rank)}
+            </span>
+          )}
+          {isWinner && (
+            <span className="flex items-center ml-2 text-yellow-600">
+              <Trophy className="w-4 h-4 mr-1" />
+              Selected
+            </span>
+          )}
+          {!candidate.complete && <Loader2 className="w-4 h-4 ml-2 animate-spin" />}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="p-4 pt-0">
+        {candidate.error && <p className="text-sm text-red-500">Generation failed: {candidate.error}</p>}
+        {candidate.thinking && <Thinking text={candidate.thinking} />}
+        {/* Candidates that lost the ranking stay collapsed */}
+        {rank && !isWinner && candidate.solution ? (
+          <details className="text-sm">
+            <summary className="cursor-pointer select-none text-gray-600 dark:text-gray-400">Show code</summary>
+            {code}
+          </details>
+        ) : (
+          code
+        )}
+        {candidate.commentary && (
+          <div className="mt-2 text-sm">
+            <Markdown>{candidate.commentary}</Markdown>
+          </div>
+        )}
+        {(candidate.analysis || candidate.syntaxRetries.length > 0) && <AnalysisSummary analysis={candidate.analysis} syntaxRetries={candidate.syntaxRetries} />}
+      </CardContent>
+    </Card>
+  );
+};
+
+const RankingSummary = ({ ranking }: { ranking: CandidateRanking }) => (
+  <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+    <p className="flex flex-wrap items-center gap-x-2">
+      <Trophy className="w-4 h-4" />
+      <span>
+        Ranked {RANKING_METHODS.find((entry) => entry.value === ranking.method)?.label.toLowerCase() ?? ranking.method} in {ranking.durationMs}ms:{" "}
+        {ranking.ranking.map((entry) => `Candidate ${entry.candidate + 1} (${rankLabel(entry)})`).join(" › ")}
+      </span>
+    </p>
+    {ranking.matches.length > 0 && (
+      <ul className="ml-6 list-disc">
+        {ranking.matches.map((match) => (
+          <li key={`${match.a}-${match.b}`}>
+            Candidate {match.winner + 1} beat Candidate {(match.winner === match.a ? match.b : match.a) + 1}
+            {match.reason && `: ${match.reason}`}
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+const RoundCard = ({ round, maxRounds, isBest, aggregation, language, candidateCount }: RoundCardProps) => (
+  <div className="space-y-2">
+    <div className="flex items-center justify-between">
+      <h3 className="font-semibold">
+        Round {round.round}/{maxRounds}
+      </h3>
+      <div className="flex items-center space-x-2 text-sm">
+        {isBest && (
+          <span className="flex items-center text-yellow-600">
+            <Star className="w-4 h-4 mr-1 fill-current" />
+            Best
+          </span>
+        )}
+        {round.score !== null && (
+          <span className="font-medium">
+            {round.score}/10
+            {round.human?.score != null ? (
+              <span className="text-gray-500"> (yours; model {round.human.modelScore}/10)</span>
+            ) : (
+              round.tests && <span className="text-gray-500"> (review {round.reviewScore}/10)</span>
+            )}
+          </span>
+        )}
+      </div>
+    </div>
+
+    {(round.candidates.length ? round.candidates : [pendingCandidate]).map((candidate) => {
+      const position = round.ranking ? round.ranking.ranking.findIndex((ranked) => ranked.candidate === candidate.candidate) : -1;
+      return (
+        <CandidateCard
+          key={candidate.candidate}
+          candidate={candidate}
+          language={language}
+          titled={candidateCount > 1}
+          rank={round.ranking && position !== -1 ? { ...round.ranking.ranking[position], position: position + 1 } : undefined}
+          isWinner={round.ranking?.winner === candidate.candidate}
+        />
+      );
+    })}
+
+    {round.ranking && <RankingSummary ranking={round.ranking} />}
+
+    {!round.error &&
+      (round.reviews.length ? round.reviews : winningCandidate(round)?.complete && !round.reviewComplete ? [pendingReview] : []).map((review) => (
+        <ReviewCard key={review.reviewer} review={review} titled={round.reviews.length > 1} />
+      ))}
+
+    {round.reviewComplete && !round.reviews.length && winningCandidate(round)?.analysis?.syntaxError && (
+      <p className="flex items-center space-x-2 text-sm text-yellow-700">
+        <AlertTriangle className="w-4 h-4" />
+        <span>Not reviewed: the solution still doesn't parse, so the round scores 0</span>
+      </p>
+    )}
+
+    {round.reviews.length > 1 && round.disagreement && (
+      <div className="flex flex-wrap items-center gap-x-2 text-sm text-gray-600 dark:text-gray-400">
+        <Users className="w-4 h-4" />
+        <span>
+          Panel ({AGGREGATIONS.find((entry) => entry.value === aggregation)?.label.toLowerCase() ?? aggregation}): {round.reviewScore}/10 · spread {round.disagreement.range}
+        </span>
+        {round.disagreement.high && (
+          <span className="flex items-center text-yellow-700">
+            <AlertTriangle className="w-4 h-4 mr-1" />
+            Reviewers disagree
+          </span>
+        )}
+      </div>
+    )}
+
+    {round.tests && (
+      <Card className="overflow-hidden border-l-4 border-blue-500 bg-blue-50 dark:bg-blue-900/20">
+        <CardContent className="p-4">
+          <TestResults tests={round.tests} />
+        </CardContent>
+      </Card>
+    )}
+
+    {round.human && (
+      <div className="flex items-start space-x-2 text-sm text-gray-600 dark:text-gray-400">
+        <UserRound className="w-4 h-4 mt-0.5 shrink-0" />
+        {round.human.feedback ? (
+          <p className="whitespace-pre-wrap">
+            <span className="font-medium">Your feedback:</span> {round.human.feedback}
+          </p>
+        ) : (
+          <p>{round.human.timedOut ? "No answer in time; the model review stood" : round.human.score !== null ? "Score overridden" : "Review accepted"}</p>
+        )}
+      </div>
+    )}
+
+    {round.retries.length > 0 && (
+      <ul className="space-y-0.5 text-xs text-gray-600 dark:text-gray-400">
+        {round.retries.map((retry, index) => (
+          <li key={index} className="flex items-center space-x-2">
+            <RotateCcw className="w-3 h-3" />
+            <span>{retry}</span>
+          </li>
+        ))}
+      </ul>
+    )}
+
+    {round.error && (
+      <div className="flex items-center space-x-2 text-sm text-yellow-700">
+        <AlertTriangle className="w-4 h-4" />
+        <span>{round.error}</span>
+      </div>
+    )}
+
+    {round.metrics && <MetricsLine metrics={round.metrics} />}
+  </div>
+);
+
+export default RoundCard;
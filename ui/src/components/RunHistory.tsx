@@ -0,0 +1,87 @@
+import { GitBranch, History, Trash2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { cn } from "../lib/utils";
+import type { RunSummary } from "../lib/api";
+
+interface RunHistoryProps {
+  runs: RunSummary[];
+  activeRunId: string | null;
+  disabled?: boolean;
+  onSelect: (id: string) => void;
+  onDelete: (id: string) => void;
+}
+
+type RunItemProps = Omit<RunHistoryProps, "runs"> & { run: RunSummary; branches: Map<string | null, RunSummary[]> };
+
+// Forks are listed under the run they branched from; those whose parent was deleted become roots
+const branchesOf = (runs: RunSummary[]) => {
+  const ids = new Set(runs.map((run) => run.id));
+  const branches = new Map<string | null, RunSummary[]>();
+  for (const run of runs) {
+    const parent = run.parent && ids.has(run.parent.id) ? run.parent.id : null;
+    branches.set(parent, [...(branches.get(parent) ?? []), run]);
+  }
+  return branches;
+};
+
+const RunItem = ({ run, branches, activeRunId, disabled, onSelect, onDelete }: RunItemProps) => {
+  const forks = branches.get(run.id) ?? [];
+  return (
+    <li>
+      <div className={cn("group flex items-start rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800", run.id === activeRunId && "bg-gray-100 dark:bg-gray-800")}>
+        <button type="button" onClick={() => onSelect(run.id)} disabled={disabled} className="flex-1 min-w-0 text-left p-2 disabled:cursor-not-allowed">
+          <p className="text-sm font-medium truncate">
+            {run.parent && <GitBranch className="inline w-3 h-3 mr-1" />}
+            {run.parent ? `From round ${run.parent.round}` : run.problem}
+          </p>
+          <p className="text-xs text-gray-500">
+            {new Date(run.startedAt).toLocaleString()} · {run.status === "error" ? "failed" : `${run.bestScore}/10`}
+            {run.status === "cancelled" && " (stopped)"} · {run.roundCount} rounds
+          </p>
+          <p className="text-xs text-gray-500 truncate">{run.solverModel === run.reviewerModel ? run.solverModel : `${run.solverModel} → ${run.reviewerModel}`}</p>
+        </button>
+        <button
+          type="button"
+          onClick={() => onDelete(run.id)}
+          disabled={disabled}
+          aria-label="Delete run"
+          className="p-2 text-gray-400 hover:text-red-500 opacity-0 group-hover:opacity-100 disabled:cursor-not-allowed"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+      {forks.length > 0 && (
+        <ul className="ml-3 pl-1 space-y-1 border-l dark:border-gray-700">
+          {forks.map((fork) => (
+            <RunItem key={fork.id} run={fork} branches={branches} activeRunId={activeRunId} disabled={disabled} onSelect={onSelect} onDelete={onDelete} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const RunHistory = ({ runs, ...props }: RunHistoryProps) => {
+  const branches = branchesOf(runs);
+  return (
+    <Card className="w-full lg:w-72 shrink-0 self-start">
+      <CardHeader className="flex flex-row items-center space-x-2 space-y-0 p-4">
+        <History className="w-4 h-4" />
+        <CardTitle>History</CardTitle>
+      </CardHeader>
+      <CardContent className="p-2 pt-0 max-h-[70vh] overflow-y-auto">
+        {runs.length === 0 ? (
+          <p className="text-sm text-gray-500 p-2">No saved runs yet.</p>
+        ) : (
+          <ul className="space-y-1">
+            {(branches.get(null) ?? []).map((run) => (
+              <RunItem key={run.id} run={run} branches={branches} {...props} />
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RunHistory;
@@ -0,0 +1,87 @@
+export interface StopPolicyDraft {
+  targetScore: number;
+  // 0 turns the plateau check off
+  plateau: number;
+  stopOnRegression: boolean;
+  stopOnTestsPass: boolean;
+  // Seconds and tokens; empty means no budget
+  timeBudget: string;
+  tokenBudget: string;
+}
+
+interface StopPolicyEditorProps {
+  policy: StopPolicyDraft;
+  disabled?: boolean;
+  onChange: (policy: StopPolicyDraft) => void;
+}
+
+const StopPolicyEditor = ({ policy, disabled, onChange }: StopPolicyEditorProps) => {
+  const update = (change: Partial<StopPolicyDraft>) => onChange({ ...policy, ...change });
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm">
+      <span className="font-medium">Stop when:</span>
+      <label className="flex items-center space-x-1">
+        <span>score ≥</span>
+        <input
+          type="number"
+          min={0}
+          max={10}
+          step={0.5}
+          value={policy.targetScore}
+          onChange={(e) => update({ targetScore: Number(e.target.value) })}
+          className="w-16 border rounded-lg p-1 dark:bg-gray-800 dark:border-gray-700"
+          disabled={disabled}
+        />
+      </label>
+      <label className="flex items-center space-x-1">
+        <span>no gain for</span>
+        <select value={policy.plateau} onChange={(e) => update({ plateau: Number(e.target.value) })} className="border rounded-lg p-1 dark:bg-gray-800" disabled={disabled}>
+          <option value={0}>—</option>
+          {[1, 2, 3].map((num) => (
+            <option key={num} value={num}>
+              {num} {num === 1 ? "round" : "rounds"}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center space-x-1">
+        <input type="checkbox" checked={policy.stopOnRegression} onChange={(e) => update({ stopOnRegression: e.target.checked })} disabled={disabled} />
+        <span>score drops</span>
+      </label>
+      <label className="flex items-center space-x-1">
+        <input type="checkbox" checked={policy.stopOnTestsPass} onChange={(e) => update({ stopOnTestsPass: e.target.checked })} disabled={disabled} />
+        <span>all tests pass</span>
+      </label>
+      <label className="flex items-center space-x-1">
+        <span>after</span>
+        <input
+          type="number"
+          min={1}
+          value={policy.timeBudget}
+          onChange={(e) => update({ timeBudget: e.target.value })}
+          placeholder="∞"
+          className="w-16 border rounded-lg p-1 dark:bg-gray-800 dark:border-gray-700"
+          disabled={disabled}
+        />
+        <span>s</span>
+      </label>
+      <label className="flex items-center space-x-1">
+        <span>after</span>
+        <input
+          type="number"
+          min={1}
+          step={1000}
+          value={policy.tokenBudget}
+          onChange={(e) => update({ tokenBudget: e.target.value })}
+          placeholder="∞"
+          className="w-24 border rounded-lg p-1 dark:bg-gray-800 dark:border-gray-700"
+          disabled={disabled}
+        />
+        <span>tokens</span>
+      </label>
+    </div>
+  );
+};
+
+export default StopPolicyEditor;
@@ -0,0 +1,43 @@
+import type { PromptTemplate } from "../lib/api";
+
+interface TemplateSelectProps {
+  id: string;
+  label: string;
+  role: PromptTemplate["role"];
+  // A template name for its latest version, `name@version` to pin one, or "" for the server default
+  value: string;
+  templates: PromptTemplate[];
+  disabled?: boolean;
+  onChange: (value: string) => void;
+}
+
+const TemplateSelect = ({ id, label, role, value, templates, disabled, onChange }: TemplateSelectProps) => (
+  <div className="flex items-center space-x-2">
+    <label htmlFor={id} className="text-sm font-medium">
+      {label}:
+    </label>
+    <select id={id} value={value} onChange={(e) => onChange(e.target.value)} className="border rounded-lg p-1 dark:bg-gray-800" disabled={disabled}>
+      <option value="">Default</option>
+      {templates
+        .filter((template) => template.role === role)
+        .map((template) => (
+          <optgroup key={template.name} label={template.description ? `${template.name}: ${template.description}` : template.name}>
+            <option value={template.name}>
+              {template.name} (latest, v{template.version})
+            </option>
+            {template.versions.length > 1 &&
+              template.versions
+                .slice(0, -1)
+                .reverse()
+                .map((version) => (
+                  <option key={version} value={`${template.name}@${version}`}>
+                    {template.name} v{version}
+                  </option>
+                ))}
+          </optgroup>
+        ))}
+    </select>
+  </div>
+);
+
+export default TemplateSelect;
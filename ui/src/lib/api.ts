@@ -0,0 +1,686 @@
+export const API_BASE_URL = "http://localhost:5100";
+
+export const FEEDBACK_STRATEGIES = [
+  { value: "score", label: "Score only" },
+  { value: "last-review", label: "Last review" },
+  { value: "full-history", label: "Full history" },
+  { value: "summarized-history", label: "Summarized history" },
+] as const;
+
+export type FeedbackStrategy = (typeof FEEDBACK_STRATEGIES)[number]["value"];
+
+// `value` doubles as the syntax highlighter's language name
+export const LANGUAGES = [
+  { value: "javascript", label: "JavaScript" },
+  { value: "typescript", label: "TypeScript" },
+  { value: "python", label: "Python" },
+  { value: "go", label: "Go" },
+  { value: "sql", label: "SQL" },
+] as const;
+
+export type Language = (typeof LANGUAGES)[number]["value"];
+
+export const AGGREGATIONS = [
+  { value: "mean", label: "Mean" },
+  { value: "median", label: "Median" },
+  { value: "min", label: "Harshest" },
+  { value: "trimmed-mean", label: "Trimmed mean" },
+] as const;
+
+export type Aggregation = (typeof AGGREGATIONS)[number]["value"];
+
+export const RANKING_METHODS = [
+  { value: "scored", label: "Scored" },
+  { value: "pairwise", label: "Pairwise" },
+] as const;
+
+export type RankingMethod = (typeof RANKING_METHODS)[number]["value"];
+
+// Personas the server has prompts for; any other text is used as the reviewer's role as-is
+export const PERSONA_PRESETS = ["security auditor", "performance reviewer", "readability reviewer", "edge case hunter"];
+
+export interface StopPolicy {
+  targetScore: number;
+  plateauRounds: number | null;
+  stopOnRegression: boolean;
+  stopOnTestsPass: boolean;
+  timeBudgetMs: number | null;
+  tokenBudget: number | null;
+}
+
+// Sampling options passed through to the model servers, under Ollama's names
+export interface GenerationOptions {
+  temperature?: number;
+  top_p?: number;
+  seed?: number;
+  num_ctx?: number;
+  num_predict?: number;
+}
+
+export interface RunGenerationOptions {
+  solver: GenerationOptions;
+  reviewer: GenerationOptions;
+  // Every model call of a role uses one seed
+  deterministic: boolean;
+}
+
+export interface EndReason {
+  reason: "tests_passed" | "target_score" | "regression" | "plateau" | "token_budget" | "time_budget" | "max_rounds" | "cancelled" | "error";
+  message: string;
+}
+
+export interface PromptTemplate {
+  name: string;
+  role: "solver" | "reviewer";
+  version: number;
+  description: string;
+  // Shipped with the server rather than saved through the API
+  builtin: boolean;
+  createdAt: number;
+  system: string;
+  // Solver prompts
+  initial?: string;
+  improve?: string;
+  // Reviewer prompt
+  user?: string;
+  // Every version number, on listed templates
+  versions: number[];
+}
+
+export interface TemplateRef {
+  name: string;
+  version: number;
+}
+
+export interface PanelMember {
+  host: string;
+  model: string;
+  persona: string | null;
+  name: string;
+}
+
+export interface TestResult {
+  name: string;
+  input: string;
+  expected: string;
+  actual: string | null;
+  passed: boolean;
+  error: string | null;
+  durationMs: number;
+}
+
+export interface TestOutcome {
+  // "syntax" outcomes come from a parse-only check for languages without a test runner
+  check?: "tests" | "syntax";
+  loaded: boolean;
+  error: string | null;
+  total: number;
+  passed: number;
+  failed: number;
+  passRate: number;
+  durationMs: number;
+  results: TestResult[];
+}
+
+export type RubricCriterion = "correctness" | "efficiency" | "readability" | "edgeCases" | "security";
+
+export interface RubricReview {
+  scores: Partial<Record<RubricCriterion, number>>;
+  strengths: string[];
+  improvements: string[];
+  summary: string;
+  total: number;
+  // How the reviewer output was understood: valid JSON, valid after a retry, scores scraped from text, or nothing usable
+  source: "json" | "retry" | "fallback" | "unparsed";
+  errors: string[];
+}
+
+export interface Disagreement {
+  // Max-min spread of the reviewers' scores
+  range: number;
+  stdDev: number;
+  criteria: Partial<Record<RubricCriterion, number>>;
+  high: boolean;
+}
+
+export interface PanelReview extends PanelMember {
+  reviewer: number;
+  review: string;
+  rubric: RubricReview | null;
+  thinking: string;
+  metrics?: CallMetrics | null;
+  durationMs: number;
+  // The judge's review of the winner from scored ranking, standing in for a new one
+  fromRanking?: boolean;
+  error: string | null;
+}
+
+// Token counts and timings of one model call, or summed over several in PhaseMetrics
+export interface CallMetrics {
+  promptTokens: number;
+  completionTokens: number;
+  // The server reported no usage, so tokens were estimated from the output length
+  estimated: boolean;
+  // Timings the model server reported (Ollama only)
+  evalMs: number | null;
+  promptEvalMs: number | null;
+  loadMs: number | null;
+  firstTokenMs: number | null;
+  wallMs: number;
+  tokensPerSecond: number | null;
+}
+
+export interface PhaseMetrics extends Omit<CallMetrics, "firstTokenMs" | "evalMs" | "promptEvalMs" | "loadMs"> {
+  calls: number;
+  evalMs: number;
+  promptEvalMs: number;
+  loadMs: number;
+}
+
+export interface RoundMetrics {
+  solver: PhaseMetrics;
+  reviewer: PhaseMetrics;
+}
+
+export interface RunMetrics extends RoundMetrics {
+  averageGenerationMs: number | null;
+  averageReviewMs: number | null;
+  averageRoundMs: number | null;
+}
+
+export interface WarmupResult {
+  host: string;
+  model: string;
+  // Why nothing was loaded: already in memory, or a server without a warmup
+  skipped: "loaded" | "unsupported" | null;
+  loadMs: number;
+  durationMs: number;
+  error: string | null;
+}
+
+export interface ParseError {
+  message: string;
+  line: number | null;
+  column: number | null;
+}
+
+export interface LintFinding {
+  rule: string | null;
+  severity: "error" | "warning";
+  message: string;
+  line: number;
+  column: number;
+}
+
+export interface FunctionComplexity {
+  name: string;
+  line: number;
+  lines: number;
+  params: number;
+  complexity: number;
+  depth: number;
+}
+
+// Parse, lint and complexity results of a JavaScript solution; only `syntaxError` is set when it doesn't parse
+export interface StaticAnalysis {
+  syntaxError: ParseError | null;
+  lint: LintFinding[];
+  errors: number;
+  warnings: number;
+  complexity: { lines: number; functions: FunctionComplexity[]; maxComplexity: number; maxDepth: number } | null;
+  durationMs: number;
+}
+
+// ESLint rule settings: a severity, or [severity, ...options]
+export type LintRules = Record<string, unknown>;
+
+export interface Candidate {
+  candidate: number;
+  solution: string;
+  language?: string;
+  commentary?: string;
+  thinking?: string;
+  // Sampling settings, only set when the round had several candidates
+  temperature?: number;
+  seed?: number;
+  // Missing for languages that aren't analyzed and on runs saved before static analysis
+  analysis?: StaticAnalysis | null;
+  // Attempts thrown away because they didn't parse
+  syntaxRetries?: { solution: string; syntaxError: ParseError; tokens: number; metrics: CallMetrics | null; durationMs: number }[];
+  metrics?: CallMetrics | null;
+  durationMs?: number;
+  error: string | null;
+}
+
+// Scored rankings carry scores, pairwise rankings carry knockout wins
+export interface RankingEntry {
+  candidate: number;
+  score?: number;
+  reviewScore?: number;
+  testPassRate?: number | null;
+  wins?: number;
+  error?: string | null;
+}
+
+export interface CandidateMatch {
+  a: number;
+  b: number;
+  winner: number;
+  reason: string;
+}
+
+export interface CandidateRanking {
+  method: RankingMethod;
+  winner: number;
+  ranking: RankingEntry[];
+  matches: CandidateMatch[];
+  durationMs: number;
+}
+
+// Changed lines carry `segments` when they pair with a similar line on the other side
+export interface DiffLine {
+  type: "equal" | "remove" | "add";
+  text: string;
+  oldLine: number | null;
+  newLine: number | null;
+  segments?: { text: string; changed: boolean }[];
+}
+
+export interface SolutionDiff {
+  added: number;
+  removed: number;
+  unchanged: number;
+  lines: DiffLine[];
+}
+
+export interface RunRound {
+  round: number;
+  solution: string;
+  solutionThinking: string;
+  commentary: string;
+  // Index of the winning candidate, with every candidate and how they ranked
+  candidate?: number;
+  candidates?: Candidate[];
+  ranking?: CandidateRanking | null;
+  review: string;
+  reviews?: PanelReview[];
+  disagreement?: Disagreement;
+  // Single-reviewer runs saved before review panels
+  rubric?: RubricReview;
+  reviewThinking?: string;
+  reviewScore: number;
+  score: number;
+  tests: TestOutcome | null;
+  // The reviewed solution's static analysis
+  analysis?: StaticAnalysis | null;
+  // Against the previous round's solution (null in the first round) and the run's best one
+  diff?: SolutionDiff | null;
+  diffToBest?: SolutionDiff;
+  startedAt: number;
+  generationMs: number;
+  reviewMs: number;
+  // Reported by the model servers, or estimated from the output length
+  tokens?: number;
+  metrics?: RoundMetrics;
+  durationMs: number;
+  // What the engineer sent in an interactive run; null when the run didn't pause
+  human?: HumanFeedback | null;
+}
+
+export interface HumanFeedback {
+  // Null when the engineer accepted the review or didn't answer in time
+  feedback: string | null;
+  score: number | null;
+  timedOut: boolean;
+  // The round's score before the engineer's override
+  modelScore: number;
+  waitedMs: number;
+}
+
+// The run and round a fork branched from
+export interface RunParent {
+  id: string;
+  round: number;
+}
+
+export interface RunSummary {
+  id: string;
+  parent: RunParent | null;
+  problem: string;
+  solverModel: string;
+  reviewerModel: string;
+  status: "running" | "completed" | "cancelled" | "error";
+  startedAt: number;
+  finishedAt: number | null;
+  durationMs: number | null;
+  bestScore: number;
+  roundCount: number;
+}
+
+export interface Run extends Omit<RunSummary, "roundCount" | "parent"> {
+  // Missing on runs saved before forks
+  parent?: RunParent | null;
+  maxRounds: number;
+  panel?: PanelMember[];
+  aggregation?: Aggregation;
+  language?: Language;
+  candidates?: number;
+  rankingMethod?: RankingMethod;
+  queuedMs?: number;
+  feedbackStrategy: FeedbackStrategy;
+  stopPolicy?: StopPolicy;
+  templates?: { solver: TemplateRef; reviewer: TemplateRef };
+  generationOptions?: RunGenerationOptions;
+  // Null for languages that aren't linted
+  lintRules?: LintRules | null;
+  interactive?: boolean;
+  // Time spent waiting for the engineer
+  pausedMs?: number;
+  tokens?: number;
+  metrics?: RunMetrics | null;
+  endReason?: EndReason | null;
+  warmup?: WarmupResult[] | null;
+  testCases: TestCase[];
+  rounds: RunRound[];
+  // Rounds that failed every attempt; missing on runs saved before round recovery
+  skippedRounds?: { round: number; error: string }[];
+  // Each time the run was continued; status and endReason stay the original's unless a continuation completed
+  continuations?: RunContinuation[];
+  bestSolution: string;
+  bestRound: number | null;
+  error: string | null;
+}
+
+export interface RunContinuation {
+  fromRound: number;
+  rounds: number[];
+  startedAt: number;
+  finishedAt: number;
+  durationMs: number;
+  status: RunSummary["status"];
+  endReason: EndReason | null;
+  error: string | null;
+}
+
+export interface TestCase {
+  name: string;
+  input: string;
+  expected: unknown;
+}
+
+export const SOLVE_EVENT_TYPES = [
+  "run_start",
+  "queue_position",
+  "tests_ready",
+  "warmup",
+  "round_start",
+  "thinking_chunk",
+  "solution_chunk",
+  "commentary_chunk",
+  "solution_complete",
+  "call_retry",
+  "static_analysis",
+  "candidates_ranked",
+  "review_chunk",
+  "review_complete",
+  "panel_result",
+  "test_results",
+  "score",
+  "round_metrics",
+  "solution_diff",
+  "best_updated",
+  "awaiting_feedback",
+  "human_feedback",
+  "round_failed",
+  "error",
+  "done",
+] as const;
+
+// A model call that failed before any output; `next` is the same host after `delayMs`, or a fallback host
+export interface CallRetry {
+  host: string;
+  attempt: number;
+  delayMs: number;
+  message: string;
+  next: string;
+}
+
+type EventOf<T extends (typeof SOLVE_EVENT_TYPES)[number], P> = { type: T; runId: string } & P;
+
+export type SolveEvent =
+  | EventOf<
+      "run_start",
+      {
+        problem: string;
+        solverModel: string;
+        reviewerModel: string;
+        panel: PanelMember[];
+        aggregation: Aggregation;
+        language: Language;
+        candidates: number;
+        rankingMethod: RankingMethod;
+        maxRounds: number;
+        feedbackStrategy: FeedbackStrategy;
+        stopPolicy: StopPolicy;
+        templates: { solver: TemplateRef; reviewer: TemplateRef };
+        generationOptions: RunGenerationOptions;
+        lintRules: LintRules | null;
+        interactive: boolean;
+        parent: RunParent | null;
+        // Last round a continued or forked run inherited, null for new runs
+        fromRound: number | null;
+        bestScore: number;
+        bestSolution: string;
+        bestRound: number | null;
+        startedAt: number;
+      }
+    >
+  | EventOf<"queue_position", { position: number; waiting: number; queuedMs?: number }>
+  | EventOf<"tests_ready", { testCases: TestCase[]; source: "user" | "generated" | "inherited" | "none" }>
+  | EventOf<"warmup", WarmupResult>
+  | EventOf<"round_start", { round: number; maxRounds: number; startedAt: number }>
+  | EventOf<"thinking_chunk", { round: number; phase: "solution" | "review"; candidate?: number; reviewer?: number; content: string }>
+  | EventOf<"solution_chunk", { round: number; candidate: number; block: number; content: string }>
+  | EventOf<"commentary_chunk", { round: number; candidate: number; content: string }>
+  | EventOf<
+      "solution_complete",
+      { round: number; candidate: number; solution: string; language: string; commentary: string; temperature?: number; seed?: number; metrics: CallMetrics; durationMs: number }
+    >
+  | EventOf<"call_retry", { round: number; role: "solver" | "reviewer"; candidate?: number; reviewer?: number } & CallRetry>
+  | EventOf<"static_analysis", { round: number; candidate: number; attempt: number; retrying: boolean } & StaticAnalysis>
+  | EventOf<"candidates_ranked", { round: number } & CandidateRanking>
+  | EventOf<"review_chunk", { round: number; reviewer: number; content: string }>
+  | EventOf<
+      "review_complete",
+      { round: number; reviewer: number; name: string } & ({ review: string; rubric: RubricReview; metrics: CallMetrics | null; durationMs: number; fromRanking?: boolean } | { error: string })
+    >
+  | EventOf<
+      "panel_result",
+      {
+        round: number;
+        aggregation: Aggregation;
+        score: number;
+        scores: { reviewer: number; name: string; score: number }[];
+        criteria: Partial<Record<RubricCriterion, number>>;
+        disagreement: Disagreement;
+        durationMs: number;
+      }
+    >
+  | EventOf<"test_results", { round: number } & TestOutcome>
+  | EventOf<"score", { round: number; score: number; reviewScore: number; testPassRate: number | null }>
+  | EventOf<"round_metrics", { round: number; generationMs: number; rankingMs: number; reviewMs: number; durationMs: number } & RoundMetrics>
+  | EventOf<"solution_diff", { round: number; from: number } & SolutionDiff>
+  | EventOf<"best_updated", { round: number; score: number; solution: string }>
+  | EventOf<"awaiting_feedback", { round: number; score: number; reviewScore: number; timeoutMs: number }>
+  | EventOf<"human_feedback", { round: number } & HumanFeedback>
+  | EventOf<"round_failed", { round: number; attempt: number; message: string; retrying: boolean }>
+  | EventOf<"error", { round: number; candidate?: number; message: string; fatal: boolean }>
+  | EventOf<
+      "done",
+      {
+        status: Run["status"];
+        bestScore: number;
+        bestSolution: string;
+        bestRound: number | null;
+        rounds: number;
+        durationMs: number;
+        tokens: number;
+        metrics: RunMetrics;
+        endReason: EndReason | null;
+        disagreements: { round: number; range: number }[];
+      }
+    >;
+
+export interface HostModels {
+  provider: "ollama-chat" | "ollama-generate" | "openai" | "mock";
+  host: string;
+  defaultModel: string;
+  available: boolean;
+  models: string[];
+  error: string | null;
+}
+
+export interface ModelsResponse {
+  solver: HostModels;
+  reviewer: HostModels;
+  reviewerHosts: (HostModels & { name: string })[];
+  models: { name: string; solver: boolean; reviewer: boolean }[];
+}
+
+export interface HostHealth {
+  // "solver", the reviewer host's name, or a fallback host's such as "solver-fallback-1"
+  name: string;
+  role: "solver" | "reviewer";
+  // Only takes calls when the role's own host fails
+  fallback: boolean;
+  provider: HostModels["provider"];
+  url: string;
+  reachable: boolean;
+  latencyMs: number;
+  version: string | null;
+  models: string[];
+  // Models loaded in memory; null when the server doesn't say
+  loaded: { name: string; sizeVram: number | null; expiresAt: string | null }[] | null;
+  // Models the solver or the default panel needs from this host, and which of them aren't installed
+  required: string[];
+  missing: string[];
+  error: string | null;
+}
+
+// "Reviewer" alone is the primary reviewer host
+export const hostLabel = (host: Pick<HostHealth, "name" | "role" | "fallback">) => {
+  const role = host.role === "solver" ? "Solver" : "Reviewer";
+  if (host.fallback) return `${role} fallback ${host.name.split("-").pop()}`;
+  return host.role === "solver" || host.name === "reviewer" ? role : `Reviewer ${host.name}`;
+};
+
+export interface RunStatus {
+  id: string;
+  problem: string;
+  status: Run["status"];
+  // null once the run has finished
+  phase: { name: string; description: string; round: number | null; since: number } | null;
+  roundsCompleted: number;
+  maxRounds: number;
+  bestScore: number;
+  tokens: number | null;
+  startedAt: number;
+}
+
+export interface Health {
+  status: "ok" | "degraded" | "down";
+  problems: string[];
+  hosts: HostHealth[];
+  checkedAt: number;
+  runs: RunStatus[];
+}
+
+export type PullEvent =
+  | { type: "pull_progress"; host: string; model: string; status: string; digest: string | null; total: number | null; completed: number | null; percent: number | null }
+  | { type: "pull_complete"; host: string; model: string; durationMs: number }
+  | { type: "error"; host?: string; model?: string; message: string; fatal: boolean }
+  | { type: "done"; results: { host: string; model: string; status: "success" | "error"; durationMs: number; error: string | null }[] };
+
+const request = async <T>(path: string, init?: RequestInit): Promise<T> => {
+  const response = await fetch(`${API_BASE_URL}${path}`, init);
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw new Error(body?.error || `Request failed: ${response.statusText}`);
+  }
+  return (response.status === 204 ? undefined : await response.json()) as T;
+};
+
+export const listModels = () => request<ModelsResponse>("/models");
+
+// Answers 503 with the same body when a host is down
+export const getHealth = async (): Promise<Health> => {
+  const response = await fetch(`${API_BASE_URL}/health`);
+  const body = await response.json().catch(() => null);
+  if (!body?.hosts) {
+    throw new Error(body?.error || `Request failed: ${response.statusText}`);
+  }
+  return body;
+};
+
+export const listTemplates = () => request<PromptTemplate[]>("/templates");
+
+export const listRuns = () => request<RunSummary[]>("/runs");
+
+// Reads the SSE stream of a POST request, which EventSource can't send
+const readEventStream = async <T>(response: Response, onEvent: (event: T) => void) => {
+  if (!response.ok || !response.body) {
+    const error = await response.json().catch(() => null);
+    throw new Error(error?.error || `Request failed: ${response.statusText}`);
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const messages = buffer.split("\n\n");
+    buffer = messages.pop() ?? "";
+    for (const message of messages) {
+      const type = message.match(/^event: (.+)$/m)?.[1];
+      const data = message.match(/^data: (.+)$/m)?.[1];
+      if (type && data) onEvent({ type, ...JSON.parse(data) } as T);
+    }
+  }
+};
+
+/**
+ * Pulls a model onto the given hosts (each host's configured model when
+ * `model` is empty), passing every progress event to `onEvent`. The endpoint
+ * is a POST, so its SSE stream is read here rather than with EventSource.
+ */
+export const pullModels = async (body: { hosts: string[]; model?: string }, onEvent: (event: PullEvent) => void, signal?: AbortSignal) => {
+  const response = await fetch(`${API_BASE_URL}/admin/pull`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body), signal });
+  await readEventStream(response, onEvent);
+};
+
+export interface ResumeParams {
+  // Forks from this round; without it the run continues after its last round
+  fromRound?: number;
+  rounds: number;
+  reviewerModel?: string;
+}
+
+// Plays more rounds of a saved run, streaming the same events as `/solve`
+export const resumeRun = async (id: string, { fromRound, rounds, reviewerModel }: ResumeParams, onEvent: (event: SolveEvent) => void, signal?: AbortSignal) => {
+  const query = new URLSearchParams({ rounds: rounds.toString(), ...(fromRound !== undefined && { fromRound: fromRound.toString() }), ...(reviewerModel && { reviewerModel }) }).toString();
+  const response = await fetch(`${API_BASE_URL}/runs/${id}/${fromRound === undefined ? "continue" : "fork"}?${query}`, { method: "POST", signal });
+  await readEventStream(response, onEvent);
+};
+
+export const getRun = (id: string) => request<Run>(`/runs/${id}`);
+
+export const getDiff = (id: string, from: number, to: number | "best") => request<SolutionDiff & { from: number; to: number | "best" }>(`/runs/${id}/diff?from=${from}&to=${to}`);
+
+// Answers an interactive run paused after `round`; without feedback or a score the model review stands
+export const submitFeedback = (id: string, body: { round: number; feedback?: string; score?: number }) =>
+  request<{ id: string; status: "resuming" }>(`/runs/${id}/feedback`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+export const cancelRun = (id: string) => request<{ id: string; status: "cancelling" }>(`/runs/${id}/cancel`, { method: "POST" });
+
+export const deleteRun = (id: string) => request<void>(`/runs/${id}`, { method: "DELETE" });
@@ -0,0 +1,381 @@
+import type {
+  Aggregation,
+  CandidateRanking,
+  Disagreement,
+  EndReason,
+  HumanFeedback,
+  Language,
+  PanelMember,
+  RankingMethod,
+  RoundMetrics,
+  RunGenerationOptions,
+  ParseError,
+  RunMetrics,
+  StaticAnalysis,
+  TemplateRef,
+  RubricReview,
+  Run,
+  RunParent,
+  SolutionDiff,
+  SolveEvent,
+  TestCase,
+  TestOutcome,
+  WarmupResult,
+} from "./api";
+
+export interface ReviewerView {
+  reviewer: number;
+  name: string;
+  review: string;
+  rubric: RubricReview | null;
+  thinking: string;
+  // Written while ranking the candidates rather than in the review phase
+  fromRanking?: boolean;
+  complete: boolean;
+  error: string | null;
+}
+
+export interface CandidateView {
+  candidate: number;
+  solution: string;
+  thinking: string;
+  commentary: string;
+  temperature: number | null;
+  seed: number | null;
+  analysis: StaticAnalysis | null;
+  // Parse errors of attempts the solver was asked to redo
+  syntaxRetries: ParseError[];
+  complete: boolean;
+  error: string | null;
+}
+
+export interface RoundView {
+  round: number;
+  candidates: CandidateView[];
+  ranking: CandidateRanking | null;
+  reviews: ReviewerView[];
+  // Set once the whole panel has reported
+  reviewComplete: boolean;
+  disagreement: Disagreement | null;
+  reviewScore: number | null;
+  score: number | null;
+  tests: TestOutcome | null;
+  // Missing on runs saved before metrics
+  metrics: RoundMetrics | null;
+  // Against the previous round's solution, and the run's best one once the run is saved
+  diff: SolutionDiff | null;
+  diffToBest: SolutionDiff | null;
+  // Model calls and round attempts that failed and were tried again
+  retries: string[];
+  // Set while an interactive run waits for the engineer's feedback on this round
+  awaitingFeedback: { timeoutMs: number } | null;
+  human: HumanFeedback | null;
+  error: string | null;
+  durationMs: number | null;
+}
+
+export interface RunView {
+  id: string;
+  parent: RunParent | null;
+  problem: string;
+  solverModel: string;
+  reviewerModel: string;
+  panel: PanelMember[];
+  aggregation: Aggregation;
+  language: Language;
+  // Solutions generated per round
+  candidates: number;
+  rankingMethod: RankingMethod;
+  // Missing on runs saved before prompt templates
+  templates: { solver: TemplateRef; reviewer: TemplateRef } | null;
+  // Missing on runs saved before generation options
+  generationOptions: RunGenerationOptions | null;
+  maxRounds: number;
+  status: Run["status"];
+  startedAt: number;
+  // 1-based position while waiting for a free model host, null once started
+  queuePosition: number | null;
+  testCases: TestCase[];
+  rounds: RoundView[];
+  bestScore: number;
+  bestSolution: string;
+  bestRound: number | null;
+  error: string | null;
+  durationMs: number | null;
+  tokens: number | null;
+  metrics: RunMetrics | null;
+  endReason: EndReason | null;
+  warmup: WarmupResult[];
+}
+
+const emptyRound = (round: number): RoundView => ({
+  round,
+  candidates: [],
+  ranking: null,
+  reviews: [],
+  reviewComplete: false,
+  disagreement: null,
+  reviewScore: null,
+  score: null,
+  tests: null,
+  metrics: null,
+  diff: null,
+  diffToBest: null,
+  retries: [],
+  awaitingFeedback: null,
+  human: null,
+  error: null,
+  durationMs: null,
+});
+
+const updateRound = (view: RunView, round: number, update: (current: RoundView) => Partial<RoundView>): RunView => {
+  const existing = view.rounds.find((entry) => entry.round === round);
+  const rounds = existing ? view.rounds.map((entry) => (entry.round === round ? { ...entry, ...update(entry) } : entry)) : [...view.rounds, { ...emptyRound(round), ...update(emptyRound(round)) }];
+  return { ...view, rounds };
+};
+
+const updateReviewer = (view: RunView, round: number, reviewer: number, update: (current: ReviewerView) => Partial<ReviewerView>): RunView =>
+  updateRound(view, round, (current) => {
+    const existing = current.reviews.find((entry) => entry.reviewer === reviewer) ?? {
+      reviewer,
+      name: view.panel[reviewer]?.name ?? `Reviewer ${reviewer + 1}`,
+      review: "",
+      rubric: null,
+      thinking: "",
+      complete: false,
+      error: null,
+    };
+    const updated = { ...existing, ...update(existing) };
+    return { reviews: [...current.reviews.filter((entry) => entry.reviewer !== reviewer), updated].sort((a, b) => a.reviewer - b.reviewer) };
+  });
+
+const updateCandidate = (view: RunView, round: number, candidate: number, update: (current: CandidateView) => Partial<CandidateView>): RunView =>
+  updateRound(view, round, (current) => {
+    const existing = current.candidates.find((entry) => entry.candidate === candidate) ?? {
+      candidate,
+      solution: "",
+      thinking: "",
+      commentary: "",
+      temperature: null,
+      seed: null,
+      analysis: null,
+      syntaxRetries: [],
+      complete: false,
+      error: null,
+    };
+    const updated = { ...existing, ...update(existing) };
+    return { candidates: [...current.candidates.filter((entry) => entry.candidate !== candidate), updated].sort((a, b) => a.candidate - b.candidate) };
+  });
+
+// The candidate that carries forward: the ranking's pick, or the only one there is
+export const winningCandidate = (round: RoundView): CandidateView | undefined =>
+  round.ranking ? round.candidates.find((entry) => entry.candidate === round.ranking?.winner) : round.candidates.length === 1 ? round.candidates[0] : undefined;
+
+/**
+ * Folds one `/solve` SSE event into the run being displayed.
+ */
+export const applyEvent = (view: RunView | null, event: SolveEvent): RunView | null => {
+  if (event.type === "run_start") {
+    // Continued and forked runs start from rounds the open view already shows
+    const { fromRound } = event;
+    const inherited = fromRound !== null && view && [event.runId, event.parent?.id].includes(view.id) ? view.rounds.filter((round) => round.round <= fromRound) : [];
+    return {
+      id: event.runId,
+      parent: event.parent ?? null,
+      problem: event.problem,
+      solverModel: event.solverModel,
+      reviewerModel: event.reviewerModel,
+      panel: event.panel,
+      aggregation: event.aggregation,
+      language: event.language,
+      candidates: event.candidates,
+      rankingMethod: event.rankingMethod,
+      templates: event.templates,
+      generationOptions: event.generationOptions,
+      maxRounds: event.maxRounds,
+      status: "running",
+      startedAt: event.startedAt,
+      queuePosition: null,
+      testCases: [],
+      rounds: inherited,
+      bestScore: event.bestScore ?? 0,
+      bestSolution: event.bestSolution ?? "",
+      bestRound: event.bestRound ?? null,
+      error: null,
+      durationMs: null,
+      tokens: null,
+      metrics: null,
+      warmup: [],
+      endReason: null,
+    };
+  }
+
+  if (!view || view.id !== event.runId) {
+    return view;
+  }
+
+  switch (event.type) {
+    case "queue_position":
+      return { ...view, queuePosition: event.position || null };
+    case "tests_ready":
+      return { ...view, testCases: event.testCases };
+    case "warmup":
+      return { ...view, warmup: [...view.warmup, { host: event.host, model: event.model, skipped: event.skipped, loadMs: event.loadMs, durationMs: event.durationMs, error: event.error }] };
+    case "round_start":
+      return updateRound(view, event.round, () => ({}));
+    case "thinking_chunk":
+      return event.phase === "solution"
+        ? updateCandidate(view, event.round, event.candidate ?? 0, (candidate) => ({ thinking: candidate.thinking + event.content }))
+        : updateReviewer(view, event.round, event.reviewer ?? 0, (reviewer) => ({ thinking: reviewer.thinking + event.content }));
+    case "solution_chunk":
+      return updateCandidate(view, event.round, event.candidate, (candidate) => ({ solution: candidate.solution + event.content }));
+    case "commentary_chunk":
+      return updateCandidate(view, event.round, event.candidate, (candidate) => ({ commentary: candidate.commentary + event.content }));
+    case "solution_complete":
+      return updateCandidate(view, event.round, event.candidate, () => ({
+        solution: event.solution,
+        commentary: event.commentary,
+        temperature: event.temperature ?? null,
+        seed: event.seed ?? null,
+        complete: true,
+      }));
+    case "call_retry":
+      return updateRound(view, event.round, (round) => ({
+        retries: [...round.retries, `${event.host} call failed (${event.message}); ${event.next === event.host ? `retried after ${event.delayMs / 1000}s` : `moved to ${event.next}`}`],
+      }));
+    case "static_analysis":
+      // A retried attempt's code is replaced by the next one streaming in
+      return updateCandidate(view, event.round, event.candidate, (candidate) => {
+        const analysis = { syntaxError: event.syntaxError, lint: event.lint, errors: event.errors, warnings: event.warnings, complexity: event.complexity, durationMs: event.durationMs };
+        return event.retrying && event.syntaxError
+          ? { solution: "", commentary: "", thinking: "", complete: false, analysis: null, syntaxRetries: [...candidate.syntaxRetries, event.syntaxError] }
+          : { analysis };
+      });
+    case "candidates_ranked":
+      return updateRound(view, event.round, () => ({
+        ranking: { method: event.method, winner: event.winner, ranking: event.ranking, matches: event.matches, durationMs: event.durationMs },
+      }));
+    case "review_chunk":
+      return updateReviewer(view, event.round, event.reviewer, (reviewer) => ({ review: reviewer.review + event.content }));
+    case "review_complete":
+      return updateReviewer(view, event.round, event.reviewer, () =>
+        "error" in event ? { name: event.name, error: event.error, complete: true } : { name: event.name, review: event.review, rubric: event.rubric, fromRanking: event.fromRanking, complete: true }
+      );
+    case "panel_result":
+      return updateRound(view, event.round, () => ({ reviewScore: event.score, disagreement: event.disagreement, reviewComplete: true }));
+    case "test_results":
+      return updateRound(view, event.round, () => ({ tests: event }));
+    case "score":
+      return updateRound(view, event.round, () => ({ score: event.score, reviewScore: event.reviewScore }));
+    case "round_metrics":
+      return updateRound(view, event.round, () => ({ metrics: { solver: event.solver, reviewer: event.reviewer }, durationMs: event.durationMs }));
+    case "solution_diff":
+      return updateRound(view, event.round, () => ({ diff: { added: event.added, removed: event.removed, unchanged: event.unchanged, lines: event.lines } }));
+    case "best_updated":
+      return { ...view, bestScore: event.score, bestSolution: event.solution, bestRound: event.round };
+    case "awaiting_feedback":
+      return updateRound(view, event.round, () => ({ awaitingFeedback: { timeoutMs: event.timeoutMs } }));
+    case "human_feedback":
+      return updateRound(view, event.round, () => ({
+        score: event.score ?? event.modelScore,
+        awaitingFeedback: null,
+        human: { feedback: event.feedback, score: event.score, timedOut: event.timedOut, modelScore: event.modelScore, waitedMs: event.waitedMs },
+      }));
+    case "round_failed":
+      // A retried round streams in again from scratch
+      return updateRound(view, event.round, (round) =>
+        event.retrying
+          ? { ...emptyRound(event.round), retries: [...round.retries, `Attempt ${event.attempt} failed (${event.message}); round started over`] }
+          : { error: `Round skipped: ${event.message}` }
+      );
+    case "error":
+      if (event.fatal) {
+        return { ...view, error: event.message };
+      }
+      return event.candidate === undefined
+        ? updateRound(view, event.round, () => ({ error: event.message }))
+        : updateCandidate(view, event.round, event.candidate, () => ({ error: event.message, complete: true }));
+    case "done":
+      return {
+        ...view,
+        status: event.status,
+        queuePosition: null,
+        bestScore: event.bestScore,
+        bestSolution: event.bestSolution,
+        bestRound: event.bestRound,
+        durationMs: event.durationMs,
+        tokens: event.tokens,
+        metrics: event.metrics,
+        endReason: event.endReason,
+      };
+    default:
+      return view;
+  }
+};
+
+/**
+ * Rebuilds the live view from a run saved on the server.
+ */
+export const runToView = (run: Run): RunView => ({
+  id: run.id,
+  parent: run.parent ?? null,
+  problem: run.problem,
+  solverModel: run.solverModel,
+  reviewerModel: run.reviewerModel,
+  panel: run.panel ?? [],
+  aggregation: run.aggregation ?? "mean",
+  language: run.language ?? "javascript",
+  candidates: run.candidates ?? 1,
+  rankingMethod: run.rankingMethod ?? "scored",
+  templates: run.templates ?? null,
+  generationOptions: run.generationOptions ?? null,
+  maxRounds: run.maxRounds,
+  status: run.status,
+  startedAt: run.startedAt,
+  queuePosition: null,
+  testCases: run.testCases ?? [],
+  rounds: [
+    ...run.rounds.map((round) => ({
+      round: round.round,
+      candidates: (round.candidates ?? [{ candidate: 0, solution: round.solution, thinking: round.solutionThinking, commentary: round.commentary, error: null }]).map((candidate) => ({
+        candidate: candidate.candidate,
+        solution: candidate.solution,
+        thinking: candidate.thinking ?? "",
+        commentary: candidate.commentary ?? "",
+        temperature: candidate.temperature ?? null,
+        seed: candidate.seed ?? null,
+        analysis: candidate.analysis ?? null,
+        syntaxRetries: (candidate.syntaxRetries ?? []).map((retry) => retry.syntaxError),
+        complete: true,
+        error: candidate.error,
+      })),
+      ranking: round.ranking ?? null,
+      reviews: round.reviews
+        ? round.reviews.map((review) => ({ ...review, complete: true }))
+        : [{ reviewer: 0, name: run.reviewerModel, review: round.review, rubric: round.rubric ?? null, thinking: round.reviewThinking ?? "", complete: true, error: null }],
+      reviewComplete: true,
+      disagreement: round.disagreement ?? null,
+      reviewScore: round.reviewScore,
+      score: round.score,
+      tests: round.tests,
+      metrics: round.metrics ?? null,
+      diff: round.diff ?? null,
+      diffToBest: round.diffToBest ?? null,
+      retries: [],
+      awaitingFeedback: null,
+      human: round.human ?? null,
+      error: null,
+      durationMs: round.durationMs,
+    })),
+    ...(run.skippedRounds ?? []).map((skipped) => ({ ...emptyRound(skipped.round), error: `Round skipped: ${skipped.error}` })),
+  ].sort((a, b) => a.round - b.round),
+  bestScore: run.bestScore,
+  bestSolution: run.bestSolution,
+  bestRound: run.bestRound,
+  error: run.error,
+  durationMs: run.durationMs,
+  tokens: run.tokens ?? null,
+  metrics: run.metrics ?? null,
+  warmup: run.warmup ?? [],
+  endReason: run.endReason ?? null,
+});